@@ -0,0 +1,28 @@
+/*
+ * SwiftPulse parcel statuses
+ *
+ * The English label and badge colour of every status, shared by the track
+ * page (track/index.html) and the tracking widget (swiftpulse-widget.js) so
+ * the two always agree. Labels match STATUS_LABELS in
+ * netlify/functions/_status.js.
+ */
+; (function () {
+    "use strict";
+
+    window.SwiftPulseStatus = {
+        LABELS: {
+            pending: 'Awaiting Pickup', in_transit: 'In Transit', out_for_delivery: 'Out for Delivery',
+            delivered: 'Delivered', cancelled: 'Cancelled', returning: 'Returning to Sender',
+            on_hold: 'On Hold', delayed: 'Delayed', customs_hold: 'Held at Customs',
+            returned: 'Returned', lost: 'Lost'
+        },
+        // null: drawn in the page's own accent colour
+        COLORS: {
+            pending: '#888888', in_transit: null, out_for_delivery: '#60A5FA',
+            delivered: '#4ADE80', on_hold: '#FB923C', delayed: '#FACC15', customs_hold: '#A78BFA',
+            returned: '#F472B6', returning: '#F472B6', lost: '#EF4444', cancelled: '#6B7280'
+        },
+        // Still moving, so the badge's dot pulses
+        PULSING: ['in_transit', 'out_for_delivery', 'returning']
+    };
+})();
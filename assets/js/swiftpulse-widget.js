@@ -0,0 +1,459 @@
+/*
+ * SwiftPulse tracking widget
+ *
+ * Shows a parcel's tracking on another site's page: status, progress,
+ * where it is, the latest events and, optionally, a small map. Public tier
+ * only (no names, street addresses or exact positions, see
+ * netlify/functions/_privacy.js), refreshed every minute.
+ *
+ *   <script src="https://swiftpulse.example/assets/js/swiftpulse-widget.js" defer></script>
+ *   <swiftpulse-tracking code="CRX-ABC-DEF-GHJN" theme="light" lang="fr" map></swiftpulse-tracking>
+ *
+ * Attributes (all can be changed later; the widget follows):
+ *   code      tracking code
+ *   theme     "dark" (default) or "light"
+ *   lang      en (default), fr, es or pt; dates follow the same locale
+ *   map       show the mini-map (loads Leaflet from unpkg, pinned and
+ *             integrity-checked, if the page hasn't already)
+ *   events    how many timeline events to show, default 5
+ *   api-base  SwiftPulse site to ask, default wherever this script is from
+ *
+ * Colours can be matched to the host page through CSS custom properties on
+ * the element: --sp-accent, --sp-bg, --sp-text, --sp-border, --sp-font.
+ *
+ * The API only answers pages on origins listed in WIDGET_ALLOWED_ORIGINS
+ * (netlify/functions/_cors.js), so ask SwiftPulse to add yours.
+ *
+ * Status labels (in English) and badge colours come from
+ * swiftpulse-status.js beside this script, the same file the track page
+ * uses.
+ */
+; (function () {
+    "use strict";
+
+    if (!window.customElements || customElements.get('swiftpulse-tracking')) return;
+
+    const SCRIPT_ORIGIN = document.currentScript && document.currentScript.src
+        ? new URL(document.currentScript.src).origin
+        : window.location.origin;
+
+    const REFRESH_MS = 60 * 1000;
+    const DEFAULT_EVENTS = 5;
+    const LEAFLET = 'https://unpkg.com/leaflet@1.9.4/dist/leaflet';
+    const LEAFLET_JS_SRI = 'sha256-20nQCchB9co0qIjJZRGuk2/Z9VM+kNiyxNV1lvTlZBo=';
+    const LEAFLET_CSS_SRI = 'sha256-p4NxAoJBhIIN+hmNHrzRCf9tD/miZyoHS5obTRR9BMY=';
+
+    /*-------------------------------------
+        Strings
+    -------------------------------------*/
+    // English status labels come from the shared status map
+    const STRINGS = {
+        en: {
+            progress: 'Journey progress', location: 'Current location', eta: 'Estimated delivery',
+            route: 'Route', updates: 'Latest updates', noEvents: 'No updates yet. Check back soon.',
+            returnTag: 'RETURN', loading: 'Loading tracking…', notFound: 'Tracking code not found',
+            suggestion: 'Did you mean', failed: 'Tracking is unavailable right now.',
+            missing: 'No tracking code given.', full: 'Full tracking on SwiftPulse'
+        },
+        fr: {
+            status: {
+                pending: 'En attente d’enlèvement', in_transit: 'En transit', out_for_delivery: 'En cours de livraison',
+                delivered: 'Livré', cancelled: 'Annulé', returning: 'Retour à l’expéditeur',
+                on_hold: 'En attente', delayed: 'Retardé', customs_hold: 'Retenu en douane',
+                returned: 'Retourné', lost: 'Perdu'
+            },
+            progress: 'Progression', location: 'Position actuelle', eta: 'Livraison estimée',
+            route: 'Trajet', updates: 'Dernières mises à jour', noEvents: 'Aucune mise à jour pour l’instant.',
+            returnTag: 'RETOUR', loading: 'Chargement du suivi…', notFound: 'Numéro de suivi introuvable',
+            suggestion: 'Vouliez-vous dire', failed: 'Le suivi est indisponible pour le moment.',
+            missing: 'Aucun numéro de suivi indiqué.', full: 'Suivi complet sur SwiftPulse'
+        },
+        es: {
+            status: {
+                pending: 'Pendiente de recogida', in_transit: 'En tránsito', out_for_delivery: 'En reparto',
+                delivered: 'Entregado', cancelled: 'Cancelado', returning: 'Devolviendo al remitente',
+                on_hold: 'Retenido', delayed: 'Con retraso', customs_hold: 'Retenido en aduanas',
+                returned: 'Devuelto', lost: 'Perdido'
+            },
+            progress: 'Progreso', location: 'Ubicación actual', eta: 'Entrega estimada',
+            route: 'Ruta', updates: 'Últimas novedades', noEvents: 'Aún no hay novedades.',
+            returnTag: 'DEVOLUCIÓN', loading: 'Cargando seguimiento…', notFound: 'Código de seguimiento no encontrado',
+            suggestion: '¿Quiso decir', failed: 'El seguimiento no está disponible ahora mismo.',
+            missing: 'Falta el código de seguimiento.', full: 'Seguimiento completo en SwiftPulse'
+        },
+        pt: {
+            status: {
+                pending: 'Aguardando coleta', in_transit: 'Em trânsito', out_for_delivery: 'Saiu para entrega',
+                delivered: 'Entregue', cancelled: 'Cancelado', returning: 'Retornando ao remetente',
+                on_hold: 'Retido', delayed: 'Atrasado', customs_hold: 'Retido na alfândega',
+                returned: 'Devolvido', lost: 'Extraviado'
+            },
+            progress: 'Progresso', location: 'Localização atual', eta: 'Entrega prevista',
+            route: 'Rota', updates: 'Últimas atualizações', noEvents: 'Ainda sem atualizações.',
+            returnTag: 'DEVOLUÇÃO', loading: 'Carregando rastreamento…', notFound: 'Código de rastreamento não encontrado',
+            suggestion: 'Você quis dizer', failed: 'O rastreamento está indisponível no momento.',
+            missing: 'Nenhum código de rastreamento informado.', full: 'Rastreamento completo na SwiftPulse'
+        }
+    };
+
+    /*-------------------------------------
+        Styles
+    -------------------------------------*/
+    const STYLES = `
+        :host {
+            --sp-accent: #F59E0B;
+            --sp-bg: #0A0A0A;
+            --sp-panel: #111111;
+            --sp-text: #E5E5E5;
+            --sp-muted: #666666;
+            --sp-border: #1F1F1F;
+            --sp-font: 'DM Mono', ui-monospace, SFMono-Regular, Menlo, monospace;
+            display: block;
+            font-family: var(--sp-font);
+            color: var(--sp-text);
+        }
+        :host([theme="light"]) {
+            --sp-bg: #FFFFFF;
+            --sp-panel: #F7F7F5;
+            --sp-text: #1A1A1A;
+            --sp-muted: #777777;
+            --sp-border: #E2E2DE;
+        }
+        :host([hidden]) { display: none; }
+        * { box-sizing: border-box; }
+        .card { background: var(--sp-bg); border: 1px solid var(--sp-border); padding: 1rem 1.2rem; }
+        .head { display: flex; justify-content: space-between; align-items: center; gap: 0.8rem; flex-wrap: wrap; }
+        .code { font-size: 0.85rem; letter-spacing: 0.08em; }
+        .status-badge {
+            display: inline-flex; align-items: center; gap: 6px; padding: 0.3rem 0.8rem;
+            font-size: 0.65rem; letter-spacing: 0.1em; text-transform: uppercase; border: 1px solid;
+        }
+        .status-dot { width: 6px; height: 6px; border-radius: 50%; background: currentColor; }
+        .pulsing .status-dot { animation: pulse 1.5s infinite; }
+        @keyframes pulse { 0%, 100% { opacity: 1; } 50% { opacity: 0.3; } }
+        .notice { margin-top: 0.8rem; padding: 0.5rem 0.8rem; border: 1px solid currentColor; font-size: 0.7rem; }
+        .label { font-size: 0.6rem; letter-spacing: 0.1em; text-transform: uppercase; color: var(--sp-muted); }
+        .progress { margin-top: 1rem; }
+        .progress-row { display: flex; justify-content: space-between; margin-bottom: 0.4rem; }
+        .progress-pct { font-size: 0.7rem; color: var(--sp-accent); }
+        .progress-bar-outer { height: 4px; background: var(--sp-border); position: relative; }
+        .progress-bar-inner { height: 100%; background: var(--sp-accent); transition: width 1s ease; position: relative; }
+        .progress-bar-inner::after {
+            content: ''; position: absolute; right: -4px; top: -4px; width: 12px; height: 12px;
+            border-radius: 50%; background: var(--sp-accent); box-shadow: 0 0 12px var(--sp-accent);
+        }
+        .facts { display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: 0.8rem; margin-top: 1rem; }
+        .value { font-size: 0.78rem; margin-top: 2px; }
+        .map { height: 200px; margin-top: 1rem; border: 1px solid var(--sp-border); background: var(--sp-panel); }
+        .timeline { margin-top: 1rem; }
+        .event-item { display: flex; gap: 0.8rem; padding: 0.6rem 0; border-bottom: 1px solid var(--sp-border); position: relative; }
+        .event-item:last-child { border-bottom: none; }
+        .event-item::before {
+            content: ''; position: absolute; left: 4px; top: 22px; bottom: -6px; width: 1px; background: var(--sp-border);
+        }
+        .event-item:last-child::before { display: none; }
+        .event-dot { width: 9px; height: 9px; border-radius: 50%; background: var(--sp-muted); flex-shrink: 0; margin-top: 4px; }
+        .event-item.latest .event-dot { background: var(--sp-accent); box-shadow: 0 0 8px var(--sp-accent); }
+        .event-desc { font-size: 0.74rem; }
+        .event-item.latest .event-desc { color: var(--sp-accent); }
+        .event-meta { font-size: 0.62rem; color: var(--sp-muted); margin-top: 2px; }
+        .leg-tag { font-size: 0.58rem; letter-spacing: 0.1em; padding: 0 0.3rem; margin-right: 0.4rem; border: 1px solid #F472B6; color: #F472B6; }
+        .foot { margin-top: 0.8rem; font-size: 0.62rem; letter-spacing: 0.08em; }
+        .foot a { color: var(--sp-muted); text-decoration: none; }
+        .foot a:hover { color: var(--sp-accent); }
+        .message { font-size: 0.75rem; color: var(--sp-muted); }
+        .message strong { color: var(--sp-text); font-weight: normal; }
+    `;
+
+    /*-------------------------------------
+        Helpers
+    -------------------------------------*/
+    function escapeHtml(str) {
+        return String(str == null ? '' : str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+    }
+
+    const scriptsLoading = {};
+
+    // One copy of each script for every widget on the page
+    function loadScript(src, integrity) {
+        if (!scriptsLoading[src]) {
+            scriptsLoading[src] = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                if (integrity) {
+                    script.integrity = integrity;
+                    script.crossOrigin = 'anonymous';
+                }
+                script.onload = resolve;
+                script.onerror = () => { delete scriptsLoading[src]; reject(new Error(`${src} failed to load`)); };
+                document.head.appendChild(script);
+            });
+        }
+        return scriptsLoading[src];
+    }
+
+    function loadLeaflet() {
+        if (window.L) return Promise.resolve(window.L);
+        return loadScript(`${LEAFLET}.js`, LEAFLET_JS_SRI).then(() => window.L);
+    }
+
+    function loadStatuses() {
+        if (window.SwiftPulseStatus) return Promise.resolve(window.SwiftPulseStatus);
+        return loadScript(`${SCRIPT_ORIGIN}/assets/js/swiftpulse-status.js`).then(() => window.SwiftPulseStatus);
+    }
+
+    /*-------------------------------------
+        Element
+    -------------------------------------*/
+    class SwiftPulseTracking extends HTMLElement {
+        static get observedAttributes() {
+            return ['code', 'theme', 'lang', 'map', 'events', 'api-base'];
+        }
+
+        constructor() {
+            super();
+            this.attachShadow({ mode: 'open' });
+            this.data = null;
+            this.etag = null;
+            this.timer = null;
+            this.map = null;
+            this.started = false;
+            this.onVisibility = () => {
+                if (!document.hidden && this.data) this.refresh();
+            };
+        }
+
+        connectedCallback() {
+            this.started = true;
+            document.addEventListener('visibilitychange', this.onVisibility);
+            this.load();
+        }
+
+        disconnectedCallback() {
+            this.started = false;
+            document.removeEventListener('visibilitychange', this.onVisibility);
+            clearInterval(this.timer);
+            this.timer = null;
+            this.removeMap();
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            // Initial attributes arrive before connectedCallback, which loads
+            if (!this.started || oldValue === newValue) return;
+            if (name === 'code' || name === 'api-base') this.load();
+            else if (this.data) this.render();
+        }
+
+        get strings() {
+            const lang = (this.getAttribute('lang') || 'en').toLowerCase().split('-')[0];
+            return STRINGS[lang] || STRINGS.en;
+        }
+
+        get locale() {
+            return this.getAttribute('lang') || 'en';
+        }
+
+        get apiBase() {
+            return (this.getAttribute('api-base') || SCRIPT_ORIGIN).replace(/\/+$/, '');
+        }
+
+        get code() {
+            return (this.getAttribute('code') || '').trim().toUpperCase();
+        }
+
+        async load() {
+            clearInterval(this.timer);
+            this.timer = null;
+            this.data = null;
+            this.etag = null;
+            this.removeMap();
+
+            const code = this.code;
+            if (!code) return this.showMessage(this.strings.missing);
+            this.showMessage(this.strings.loading);
+            try {
+                await loadStatuses();
+            } catch {
+                return this.showMessage(this.strings.failed);
+            }
+            if (code !== this.code) return;
+            await this.refresh();
+
+            // Only while there's something to show; pauses with the tab
+            if (this.data && code === this.code && !this.timer) {
+                this.timer = setInterval(() => { if (!document.hidden) this.refresh(); }, REFRESH_MS);
+            }
+        }
+
+        async refresh() {
+            const code = this.code;
+            try {
+                const res = await fetch(`${this.apiBase}/api/track/${encodeURIComponent(code)}`, {
+                    headers: this.etag ? { 'If-None-Match': this.etag } : {}
+                });
+                if (code !== this.code || res.status === 304) return;
+
+                const data = await res.json();
+                if (!res.ok) {
+                    if (!this.data) this.showNotFound(data.suggestion);
+                    return;
+                }
+                this.data = data;
+                this.etag = res.headers.get('ETag');
+                this.render();
+            } catch {
+                if (!this.data) this.showMessage(this.strings.failed);
+            }
+        }
+
+        /*-------------------------------------
+            Rendering
+        -------------------------------------*/
+        showMessage(text) {
+            this.removeMap();
+            this.shadowRoot.innerHTML = `<style>${STYLES}</style>
+                <div class="card" part="card"><p class="message">${escapeHtml(text)}</p></div>`;
+        }
+
+        showNotFound(suggestion) {
+            const t = this.strings;
+            this.removeMap();
+            this.shadowRoot.innerHTML = `<style>${STYLES}</style>
+                <div class="card" part="card">
+                  <p class="message"><strong>${escapeHtml(t.notFound)}</strong> · ${escapeHtml(this.code)}</p>
+                  ${suggestion ? `<p class="message">${escapeHtml(t.suggestion)} ${escapeHtml(suggestion)}?</p>` : ''}
+                </div>`;
+        }
+
+        render() {
+            const t = this.strings;
+            const { parcel, returnLeg } = this.data;
+            const current = returnLeg && returnLeg.currentLat ? returnLeg : parcel;
+            const eta = (returnLeg || parcel).estimatedDelivery;
+            const pct = (returnLeg || parcel).progressPercent || 0;
+            const { LABELS, COLORS, PULSING } = window.SwiftPulseStatus;
+            const color = parcel.status in COLORS ? COLORS[parcel.status] || 'var(--sp-accent)' : 'var(--sp-muted)';
+            const label = (t.status && t.status[parcel.status]) || LABELS[parcel.status] || parcel.status;
+            const route = [parcel.originName, parcel.destinationName].filter(Boolean).map(escapeHtml).join(' → ');
+            const showMap = this.hasAttribute('map') && current.currentLat != null;
+
+            this.removeMap();
+            this.shadowRoot.innerHTML = `
+                <style>${STYLES}</style>
+                ${showMap ? `<link rel="stylesheet" href="${LEAFLET}.css" integrity="${LEAFLET_CSS_SRI}" crossorigin="anonymous">` : ''}
+                <div class="card" part="card">
+                  <div class="head">
+                    <span class="code">${escapeHtml(parcel.trackingCode)}</span>
+                    <span class="status-badge${PULSING.includes(parcel.status) ? ' pulsing' : ''}" style="color:${color};" part="status">
+                      <span class="status-dot"></span>${escapeHtml(label)}
+                    </span>
+                  </div>
+                  ${parcel.exceptionReason ? `<div class="notice" style="color:${color};">${escapeHtml(parcel.exceptionReason)}</div>` : ''}
+                  <div class="progress">
+                    <div class="progress-row">
+                      <span class="label">${escapeHtml(t.progress)}</span>
+                      <span class="progress-pct">${pct}%</span>
+                    </div>
+                    <div class="progress-bar-outer"><div class="progress-bar-inner" style="width:${pct}%;"></div></div>
+                  </div>
+                  <div class="facts">
+                    ${this.fact(t.location, current.currentLocationName)}
+                    ${this.fact(t.eta, eta && new Date(eta).toLocaleDateString(this.locale, { day: 'numeric', month: 'short', year: 'numeric' }))}
+                    ${route ? this.fact(t.route, route, true) : ''}
+                  </div>
+                  ${showMap ? '<div class="map" part="map"></div>' : ''}
+                  <div class="timeline">
+                    <div class="label">${escapeHtml(t.updates)}</div>
+                    ${this.timelineHtml()}
+                  </div>
+                  <div class="foot">
+                    <a href="${escapeHtml(this.apiBase)}/track/${encodeURIComponent(parcel.trackingCode)}" target="_blank" rel="noopener">${escapeHtml(t.full)} →</a>
+                  </div>
+                </div>`;
+
+            if (showMap) this.renderMap();
+        }
+
+        fact(label, value, html = false) {
+            return `<div><div class="label">${escapeHtml(label)}</div>
+                <div class="value">${value ? (html ? value : escapeHtml(value)) : '—'}</div></div>`;
+        }
+
+        // Newest first across both legs, as on the track page
+        timelineHtml() {
+            const t = this.strings;
+            const { events, returnLeg } = this.data;
+            const limit = parseInt(this.getAttribute('events'), 10) || DEFAULT_EVENTS;
+            const all = events
+                .concat((returnLeg ? returnLeg.events : []).map(ev => ({ ...ev, returnLeg: true })))
+                .sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1))
+                .slice(0, limit);
+
+            if (!all.length) return `<p class="message">${escapeHtml(t.noEvents)}</p>`;
+            return all.map((ev, i) => {
+                const time = new Date(ev.timestamp).toLocaleString(this.locale, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+                return `
+                <div class="event-item${i === 0 ? ' latest' : ''}">
+                  <div class="event-dot"></div>
+                  <div>
+                    <div class="event-desc">${ev.returnLeg ? `<span class="leg-tag">${escapeHtml(t.returnTag)}</span>` : ''}${escapeHtml(ev.description)}</div>
+                    <div class="event-meta">${escapeHtml(time)}${ev.location_name ? ` · ${escapeHtml(ev.location_name)}` : ''}</div>
+                  </div>
+                </div>`;
+            }).join('');
+        }
+
+        async renderMap() {
+            const data = this.data;
+            let L;
+            try {
+                L = await loadLeaflet();
+            } catch {
+                return;
+            }
+            const el = this.shadowRoot.querySelector('.map');
+            if (!el || data !== this.data) return;
+
+            const { parcel, routePoints, routeSegments, returnLeg } = data;
+            const current = returnLeg && returnLeg.currentLat ? returnLeg : parcel;
+            const dark = this.getAttribute('theme') !== 'light';
+            const accent = getComputedStyle(this).getPropertyValue('--sp-accent').trim() || '#F59E0B';
+
+            this.map = L.map(el, { zoomControl: false, attributionControl: true, scrollWheelZoom: false });
+            L.tileLayer(`https://{s}.basemaps.cartocdn.com/${dark ? 'dark_all' : 'light_all'}/{z}/{x}/{y}{r}.png`, {
+                attribution: '© <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> · © <a href="https://carto.com/">CARTO</a>',
+                subdomains: 'abcd',
+                maxZoom: 19
+            }).addTo(this.map);
+
+            // Older responses only carry routePoints; treat them as one segment
+            const toLatLngs = (segments, points) =>
+                (segments && segments.length ? segments : points ? [points] : []).map(seg => seg.map(p => [p.lat, p.lng]));
+
+            const bounds = L.latLngBounds([[current.currentLat, current.currentLng]]);
+            const route = toLatLngs(routeSegments, routePoints);
+            if (route.length) {
+                L.polyline(route, { color: accent, weight: 3, opacity: 0.6, dashArray: '6, 4' }).addTo(this.map);
+                route.forEach(seg => seg.forEach(p => bounds.extend(p)));
+            }
+            if (returnLeg && returnLeg.routePoints && returnLeg.routePoints.length > 1) {
+                L.polyline(toLatLngs(returnLeg.routeSegments, returnLeg.routePoints),
+                    { color: '#F472B6', weight: 3, opacity: 0.7, dashArray: '2, 6' }).addTo(this.map);
+            }
+            L.circleMarker([current.currentLat, current.currentLng], {
+                radius: 7, color: accent, fillColor: accent, fillOpacity: 1, weight: 6, opacity: 0.35
+            }).addTo(this.map);
+
+            this.map.fitBounds(bounds, { padding: [20, 20], maxZoom: 8 });
+        }
+
+        removeMap() {
+            if (this.map) {
+                this.map.remove();
+                this.map = null;
+            }
+        }
+    }
+
+    customElements.define('swiftpulse-tracking', SwiftPulseTracking);
+})();
@@ -0,0 +1,201 @@
+// netlify/functions/_auth.js
+// Operator authentication — imported by every function that changes parcels.
+//   Sessions → admz console login, carried in an HttpOnly cookie
+//   API keys → scripts, sent as "Authorization: Bearer sp_..."
+// Only SHA-256 hashes of session tokens and API keys are stored in Turso.
+
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const { err } = require("./_db");
+
+const SESSION_COOKIE = "sp_session";
+const SESSION_TTL_HOURS = 12;
+const API_KEY_PREFIX = "sp_";
+
+// Compared against when the email is unknown, so a failed login takes the
+// same time whether or not the account exists
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+// ─── Passwords ────────────────────────────────────────────────────────────────
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, 64);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = (stored || "").split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(
+    password,
+    Buffer.from(saltHex, "hex"),
+    expected.length,
+  );
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+async function findOperatorByCredentials(db, email, password) {
+  const result = await db.execute({
+    sql: "SELECT * FROM operators WHERE email = ? AND disabled_at IS NULL",
+    args: [String(email).trim().toLowerCase()],
+  });
+  const operator = result.rows[0];
+
+  const valid = verifyPassword(
+    String(password),
+    operator ? operator.password_hash : DUMMY_HASH,
+  );
+  return operator && valid ? operator : null;
+}
+
+// ─── Sessions ─────────────────────────────────────────────────────────────────
+async function createSession(db, operatorId) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+
+  await db.execute({
+    sql: `INSERT INTO operator_sessions (id, operator_id, token_hash, expires_at)
+          VALUES (?, ?, ?, ?)`,
+    args: [uuidv4(), operatorId, sha256(token), expiresAt.toISOString()],
+  });
+
+  return { token, expiresAt };
+}
+
+async function destroySession(db, token) {
+  await db.execute({
+    sql: "DELETE FROM operator_sessions WHERE token_hash = ?",
+    args: [sha256(token)],
+  });
+}
+
+function sessionCookie(token, expiresAt) {
+  const maxAge = Math.floor((expiresAt - Date.now()) / 1000);
+  return `${SESSION_COOKIE}=${token}; Path=/; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Strict`;
+}
+
+function clearedSessionCookie() {
+  return `${SESSION_COOKIE}=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Strict`;
+}
+
+// ─── API keys ─────────────────────────────────────────────────────────────────
+// The full key is returned once, at creation. Afterwards only its first
+// characters (key_prefix) are shown so operators can tell keys apart.
+async function createApiKey(db, operatorId, name) {
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString("base64url");
+  const id = uuidv4();
+  const keyPrefix = key.slice(0, 10);
+
+  await db.execute({
+    sql: `INSERT INTO api_keys (id, operator_id, name, key_prefix, key_hash)
+          VALUES (?, ?, ?, ?, ?)`,
+    args: [id, operatorId, name, keyPrefix, sha256(key)],
+  });
+
+  return { id, name, keyPrefix, key };
+}
+
+// ─── Request authentication ───────────────────────────────────────────────────
+function header(event, name) {
+  const headers = event.headers || {};
+  const match = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
+
+function readCookie(event, name) {
+  const cookies = header(event, "cookie") || "";
+  for (const part of cookies.split(";")) {
+    const [k, ...v] = part.trim().split("=");
+    if (k === name) return v.join("=");
+  }
+  return null;
+}
+
+function bearerToken(event) {
+  const auth = header(event, "authorization") || "";
+  const match = auth.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Resolves the operator behind a request, or null.
+// API keys win over the session cookie when both are present.
+async function authenticate(event, db) {
+  const bearer = bearerToken(event);
+
+  if (bearer && bearer.startsWith(API_KEY_PREFIX)) {
+    const result = await db.execute({
+      sql: `SELECT o.id, o.email, o.name, k.id AS key_id
+            FROM api_keys k JOIN operators o ON o.id = k.operator_id
+            WHERE k.key_hash = ? AND k.revoked_at IS NULL AND o.disabled_at IS NULL`,
+      args: [sha256(bearer)],
+    });
+    if (!result.rows.length) return null;
+
+    const row = result.rows[0];
+    await db.execute({
+      sql: "UPDATE api_keys SET last_used_at = datetime('now') WHERE id = ?",
+      args: [row.key_id],
+    });
+    return { id: row.id, email: row.email, name: row.name, via: "api_key" };
+  }
+
+  const token = readCookie(event, SESSION_COOKIE);
+  if (!token) return null;
+
+  const result = await db.execute({
+    sql: `SELECT o.id, o.email, o.name
+          FROM operator_sessions s JOIN operators o ON o.id = s.operator_id
+          WHERE s.token_hash = ? AND s.expires_at > ? AND o.disabled_at IS NULL`,
+    args: [sha256(token), new Date().toISOString()],
+  });
+  if (!result.rows.length) return null;
+
+  const row = result.rows[0];
+  return { id: row.id, email: row.email, name: row.name, via: "session" };
+}
+
+// Usage in a handler:
+//   const { operator, denied } = await requireOperator(event, db);
+//   if (denied) return denied;
+async function requireOperator(event, db) {
+  const operator = await authenticate(event, db);
+  if (!operator)
+    return { operator: null, denied: err("Authentication required", 401) };
+  return { operator, denied: null };
+}
+
+// ─── Audit ────────────────────────────────────────────────────────────────────
+async function recordAction(db, operator, action, trackingCode, details) {
+  await db.execute({
+    sql: `INSERT INTO operator_actions (id, operator_id, action, tracking_code, details)
+          VALUES (?, ?, ?, ?, ?)`,
+    args: [
+      uuidv4(),
+      operator.id,
+      action,
+      trackingCode || null,
+      details ? JSON.stringify(details) : null,
+    ],
+  });
+}
+
+module.exports = {
+  SESSION_COOKIE,
+  hashPassword,
+  findOperatorByCredentials,
+  createSession,
+  destroySession,
+  sessionCookie,
+  clearedSessionCookie,
+  createApiKey,
+  readCookie,
+  authenticate,
+  requireOperator,
+  recordAction,
+};
@@ -0,0 +1,110 @@
+// netlify/functions/_cache.js
+// Conditional GET for the public tracking API.
+//
+// A response's validators come from what it was built from (the parcel's
+// last_updated, the newest tracking event...), so they can be worked out
+// with one small query before the full response is. A request whose
+// If-None-Match (or, failing that, If-Modified-Since) still matches gets
+// an empty 304 instead.
+//
+// Cache-Control lets the browser keep a copy but revalidate every time,
+// while Netlify's CDN may serve it for CDN_MAX_AGE seconds — the scheduler
+// only moves parcels once an hour, so that absorbs refresh traffic at the
+// cost of dispatcher changes showing up to a minute late. Responses with
+// the detailed tier (see _privacy.js) are private: browser only.
+
+const crypto = require("crypto");
+const { CORS_HEADERS } = require("./_db");
+
+const CDN_MAX_AGE = 60;
+
+// The token header picks the tier, so it is part of the cache key
+const CACHE_HEADERS = {
+  "Cache-Control": "public, max-age=0, must-revalidate",
+  "Netlify-CDN-Cache-Control": `public, s-maxage=${CDN_MAX_AGE}, stale-while-revalidate=${CDN_MAX_AGE}`,
+  Vary: "X-Tracking-Token",
+  "Netlify-Vary": "header=X-Tracking-Token",
+};
+
+const PRIVATE_CACHE_HEADERS = {
+  "Cache-Control": "private, max-age=0, must-revalidate",
+  Vary: "X-Tracking-Token",
+};
+
+// SQLite datetime('now') values are UTC without a zone: "2025-01-31 09:00:00"
+function parseTimestamp(value) {
+  if (!value) return null;
+  const s = String(value);
+  const date = new Date(
+    /[zZ]|[+-]\d\d:?\d\d$/.test(s) ? s : `${s.replace(" ", "T")}Z`,
+  );
+  return isNaN(date) ? null : date;
+}
+
+// Weak ETag over the values a response depends on
+function etagFor(...parts) {
+  const hash = crypto
+    .createHash("sha1")
+    .update(JSON.stringify(parts))
+    .digest("base64url")
+    .slice(0, 22);
+  return `W/"${hash}"`;
+}
+
+// Latest of several timestamps, as an HTTP date (second precision)
+function lastModified(...timestamps) {
+  const times = timestamps
+    .map(parseTimestamp)
+    .filter(Boolean)
+    .map((d) => d.getTime());
+  return times.length ? new Date(Math.max(...times)).toUTCString() : null;
+}
+
+// validators: { etag, modified, private? }
+function validatorHeaders({ etag, modified, private: isPrivate }) {
+  return {
+    ...(isPrivate ? PRIVATE_CACHE_HEADERS : CACHE_HEADERS),
+    ETag: etag,
+    ...(modified ? { "Last-Modified": modified } : {}),
+  };
+}
+
+// True when the client's copy is still current
+function isFresh(event, { etag, modified }) {
+  const headers = event.headers || {};
+  const ifNoneMatch = headers["if-none-match"];
+  if (ifNoneMatch) {
+    // Weak comparison: W/"x" and "x" match
+    const strip = (tag) => tag.trim().replace(/^W\//, "");
+    return (
+      ifNoneMatch.trim() === "*" ||
+      ifNoneMatch.split(",").some((tag) => strip(tag) === strip(etag))
+    );
+  }
+
+  const ifModifiedSince = headers["if-modified-since"];
+  if (ifModifiedSince && modified) {
+    const since = Date.parse(ifModifiedSince);
+    return !isNaN(since) && Date.parse(modified) <= since;
+  }
+  return false;
+}
+
+function notModified(validators) {
+  return {
+    statusCode: 304,
+    headers: { ...CORS_HEADERS, ...validatorHeaders(validators) },
+    body: "",
+  };
+}
+
+module.exports = {
+  CACHE_HEADERS,
+  PRIVATE_CACHE_HEADERS,
+  parseTimestamp,
+  etagFor,
+  lastModified,
+  validatorHeaders,
+  isFresh,
+  notModified,
+};
@@ -0,0 +1,299 @@
+// netlify/functions/_codes.js
+// Tracking codes: a prefix, random characters in dash-separated groups and
+// a check character (Luhn mod 34 over the alphabet) on the end, e.g.
+//   CRX-ABC-DEF-GHIK     format "CRX:3-3-3"
+//   ACME-ABCD-EFGHK      format "ACME:4-4"
+//
+// TRACKING_CODE_FORMATS lists the formats in use, comma-separated; the
+// first is the default for new parcels, others are picked per booking
+// (create-parcel's codePrefix), e.g. per service or per customer:
+//   TRACKING_CODE_FORMATS=CRX:3-3-3,EXP:4-4,ACME:3-3-3
+// Every listed format is recognised on lookup, so drop a prefix from the
+// list only once its parcels no longer need tracking.
+//
+// Codes issued before check characters existed (CRX- and nine characters,
+// LEGACY below) are always recognised.
+//
+// The alphabet leaves out O and I, so those typed in place of 0 and 1 are
+// corrected outright. The check character catches any single mistyped
+// character and almost every swap of neighbours; for those, and for codes
+// that simply aren't found, suggestionFor() looks for the code most likely
+// meant among the ones that exist. It only tries swapped neighbours,
+// lookalike characters and, in formats with a check character, one dropped
+// character (the check character leaves only a handful of those): with any
+// substitution allowed, a wrong guess at a legacy code would be answered
+// with a real one from hundreds checked.
+//
+// A CRX- code with one character dropped reads as a whole legacy code, so
+// it's looked up as one; when no such legacy code exists, the suggestion is
+// the full code it was cut from.
+
+const crypto = require("crypto");
+
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ1234567890";
+const DEFAULT_FORMATS = "CRX:3-3-3";
+const LEGACY = { prefix: "CRX", groups: [3, 3, 3], legacy: true };
+
+// Attempts at a fresh code when the one drawn is already taken
+const MAX_ATTEMPTS = 5;
+
+// Characters easily read or typed as one another; a substitution between
+// them is the likelier typo
+const LOOKALIKES = [
+  "0DQ",
+  "1L7",
+  "2Z",
+  "5S",
+  "6G",
+  "8B",
+  "UV",
+  "MN",
+  "CG",
+  "EF",
+  "PR",
+];
+
+// ─── Formats ──────────────────────────────────────────────────────────────────
+const FORMAT_RE = /^([A-Z][A-Z0-9]{1,5}):(\d{1,2}(?:-\d{1,2}){0,4})$/;
+
+function parseFormat(spec) {
+  const m = FORMAT_RE.exec(spec);
+  const groups = m ? m[2].split("-").map(Number) : [];
+  const length = groups.reduce((a, b) => a + b, 0);
+  if (!m || groups.includes(0) || length < 6 || length > 16) {
+    throw new Error(
+      `Invalid TRACKING_CODE_FORMATS entry "${spec}" (expected e.g. CRX:3-3-3: ` +
+        "a prefix of 2–6 letters/digits, then 6–16 characters in groups)",
+    );
+  }
+  return { prefix: m[1], groups };
+}
+
+// A bad entry is logged and left out, rather than failing every request
+// that reads a tracking code
+function parseFormats(spec) {
+  return String(spec)
+    .split(",")
+    .map((s) => s.trim().toUpperCase())
+    .filter(Boolean)
+    .flatMap((s) => {
+      try {
+        return [parseFormat(s)];
+      } catch (e) {
+        console.error("[codes]", e.message);
+        return [];
+      }
+    });
+}
+
+let _formats = null;
+
+function formats() {
+  if (!_formats) {
+    _formats = parseFormats(
+      process.env.TRACKING_CODE_FORMATS || DEFAULT_FORMATS,
+    );
+    if (!_formats.length) _formats = parseFormats(DEFAULT_FORMATS);
+  }
+  return _formats;
+}
+
+function formatFor(prefix) {
+  if (!prefix) return formats()[0];
+  return formats().find((f) => f.prefix === String(prefix).toUpperCase());
+}
+
+function prefixes() {
+  return formats().map((f) => f.prefix);
+}
+
+function bodyLength(fmt) {
+  return fmt.groups.reduce((a, b) => a + b, 0);
+}
+
+// Characters after the prefix, in the format's groups; the check character
+// joins the last group
+function format(fmt, chars) {
+  const parts = [];
+  let i = 0;
+  fmt.groups.forEach((size, g) => {
+    const last = g === fmt.groups.length - 1;
+    parts.push(chars.slice(i, last ? undefined : i + size));
+    i += size;
+  });
+  return [fmt.prefix, ...parts].join("-");
+}
+
+// ─── Check character ──────────────────────────────────────────────────────────
+function checkCharacter(body) {
+  const n = ALPHABET.length;
+  let sum = 0;
+  let factor = 2;
+  for (let i = body.length - 1; i >= 0; i--) {
+    let addend = factor * ALPHABET.indexOf(body[i]);
+    addend = Math.floor(addend / n) + (addend % n);
+    sum += addend;
+    factor = factor === 2 ? 1 : 2;
+  }
+  return ALPHABET[(n - (sum % n)) % n];
+}
+
+function hasValidCheck(chars) {
+  return checkCharacter(chars.slice(0, -1)) === chars[chars.length - 1];
+}
+
+// True for characters that make a whole code in this format
+function fits(fmt, chars) {
+  return fmt.legacy
+    ? chars.length === bodyLength(fmt)
+    : chars.length === bodyLength(fmt) + 1 && hasValidCheck(chars);
+}
+
+// ─── Generation ───────────────────────────────────────────────────────────────
+// prefix: one of the configured formats' prefixes; the default if omitted
+function generateTrackingCode(prefix) {
+  const fmt = formatFor(prefix);
+  if (!fmt) throw new Error(`Unknown tracking code prefix "${prefix}"`);
+  const body = Array.from(
+    { length: bodyLength(fmt) },
+    () => ALPHABET[crypto.randomInt(ALPHABET.length)],
+  ).join("");
+  return format(fmt, body + checkCharacter(body));
+}
+
+function isCodeConflict(e) {
+  const message = `${e?.message} ${e?.cause?.message}`;
+  return /UNIQUE constraint failed: parcels\.tracking_code/.test(message);
+}
+
+// Runs write(code) with a fresh code, and again with another if the
+// UNIQUE constraint on parcels.tracking_code says it was taken in the
+// meantime. Resolves to the code that was written.
+async function withUniqueCode(write, prefix) {
+  for (let attempt = 1; ; attempt++) {
+    const code = generateTrackingCode(prefix);
+    try {
+      await write(code);
+      return code;
+    } catch (e) {
+      if (!isCodeConflict(e) || attempt >= MAX_ATTEMPTS) throw e;
+      console.warn(`[codes] ${code} is taken, drawing another`);
+    }
+  }
+}
+
+// ─── Parsing ──────────────────────────────────────────────────────────────────
+// Ways to read the input as prefix + characters: a known prefix at the
+// start, or no prefix typed at all (the default). Case, spaces and dashes
+// don't matter, and O / I become 0 / 1.
+function readings(input) {
+  const s = String(input || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+  const clean = (chars) => chars.replace(/O/g, "0").replace(/I/g, "1");
+
+  const out = [];
+  for (const fmt of [...formats(), LEGACY]) {
+    if (s.startsWith(fmt.prefix) && s.length > fmt.prefix.length) {
+      out.push({ fmt, chars: clean(s.slice(fmt.prefix.length)) });
+    }
+  }
+  out.push({ fmt: formats()[0], chars: clean(s) });
+  out.push({ fmt: LEGACY, chars: clean(s) });
+  return out;
+}
+
+// { code, prefix, legacy, valid } for anything shaped like a tracking code,
+// otherwise null. `valid` is false when the check character is wrong.
+function parseTrackingCode(input) {
+  const all = readings(input);
+  const shaped = all.filter(
+    ({ fmt, chars }) => chars.length === bodyLength(fmt) + (fmt.legacy ? 0 : 1),
+  );
+  const match = shaped.find(({ fmt, chars }) => fits(fmt, chars)) || shaped[0];
+  if (!match) return null;
+
+  const { fmt, chars } = match;
+  return {
+    code: format(fmt, chars),
+    prefix: fmt.prefix,
+    legacy: Boolean(fmt.legacy),
+    valid: fits(fmt, chars),
+  };
+}
+
+// ─── Suggestions ──────────────────────────────────────────────────────────────
+function lookalikes(c) {
+  const group = LOOKALIKES.find((g) => g.includes(c));
+  return group ? group.replace(c, "") : "";
+}
+
+// Likely typos of the input, likeliest first: swapped neighbours, then
+// lookalike characters
+function variants(chars) {
+  const swap = (s, i) => s.slice(0, i) + s[i + 1] + s[i] + s.slice(i + 2);
+  const put = (s, i, c) => s.slice(0, i) + c + s.slice(i + 1);
+
+  const out = [];
+  for (let i = 0; i < chars.length - 1; i++) out.push(swap(chars, i));
+  for (let i = 0; i < chars.length; i++) {
+    for (const c of lookalikes(chars[i])) out.push(put(chars, i, c));
+  }
+  return out;
+}
+
+// The input with one character put back, anywhere
+function insertions(chars) {
+  const out = [];
+  for (let i = 0; i <= chars.length; i++) {
+    for (const c of ALPHABET) out.push(chars.slice(0, i) + c + chars.slice(i));
+  }
+  return out;
+}
+
+// Codes one likely typo away from the input that a real code could be, in
+// order
+function candidates(input) {
+  const seen = new Set();
+  const out = [];
+  for (const { fmt, chars } of readings(input)) {
+    const length = bodyLength(fmt) + (fmt.legacy ? 0 : 1);
+    let typos = [];
+    if (chars.length === length) {
+      typos = variants(chars);
+    } else if (!fmt.legacy && chars.length === length - 1) {
+      typos = insertions(chars);
+    }
+    for (const v of typos) {
+      if (!fits(fmt, v)) continue;
+      const code = format(fmt, v);
+      if (!seen.has(code)) {
+        seen.add(code);
+        out.push(code);
+      }
+    }
+  }
+  return out;
+}
+
+// The existing code most likely meant by `input`, or null
+async function suggestionFor(db, input) {
+  const list = candidates(input);
+  if (!list.length) return null;
+  const result = await db.execute({
+    sql: `SELECT tracking_code FROM parcels
+          WHERE tracking_code IN (${list.map(() => "?").join(", ")})`,
+    args: list,
+  });
+  const found = new Set(result.rows.map((r) => r.tracking_code));
+  return list.find((code) => found.has(code)) || null;
+}
+
+module.exports = {
+  prefixes,
+  checkCharacter,
+  generateTrackingCode,
+  withUniqueCode,
+  parseTrackingCode,
+  suggestionFor,
+};
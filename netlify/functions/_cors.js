@@ -0,0 +1,65 @@
+// netlify/functions/_cors.js
+// Which other sites' pages may call the tracking API from the browser —
+// merchants embedding the tracking widget (assets/js/swiftpulse-widget.js)
+// on their order pages.
+//
+// WIDGET_ALLOWED_ORIGINS is a comma-separated list of origins; a leading
+// "*." matches any subdomain:
+//   WIDGET_ALLOWED_ORIGINS=https://shop.example.com,https://*.merchant.io
+// The site's own origin (Netlify's URL / DEPLOY_PRIME_URL) is always
+// allowed. Left unset, any origin is (Access-Control-Allow-Origin: *).
+//
+// CORS only binds browsers, so this keeps other sites from showing the
+// API's responses, not scripts or servers from fetching them.
+
+function allowedOrigins() {
+  const list = process.env.WIDGET_ALLOWED_ORIGINS;
+  if (!list) return null;
+  return [...list.split(","), process.env.URL, process.env.DEPLOY_PRIME_URL]
+    .map((s) => (s || "").trim().replace(/\/+$/, "").toLowerCase())
+    .filter(Boolean);
+}
+
+function isAllowed(origin, allowed) {
+  const given = origin.toLowerCase();
+  return allowed.some((entry) => {
+    const wildcard = /^(https?:\/\/)\*\.(.+)$/.exec(entry);
+    if (!wildcard) return entry === given;
+    const [, scheme, domain] = wildcard;
+    return given.startsWith(scheme) && given.endsWith(`.${domain}`);
+  });
+}
+
+// "header=X-Tracking-Token" → "header=X-Tracking-Token|Origin"
+function addNetlifyVary(value) {
+  if (!value) return "header=Origin";
+  return /header=/.test(value)
+    ? value.replace(/header=([^,]*)/, "header=$1|Origin")
+    : `${value},header=Origin`;
+}
+
+// Wraps a handler so its responses only carry CORS headers for allowed
+// origins. Responses then depend on the Origin header, so it is added to
+// Vary, and to Netlify-Vary for the CDN cache.
+function restrictOrigins(handler) {
+  return async (event, context) => {
+    const response = await handler(event, context);
+    const allowed = allowedOrigins();
+    if (!allowed || !response) return response;
+
+    const origin = (event.headers || {}).origin;
+    const headers = { ...response.headers };
+    if (origin && isAllowed(origin, allowed)) {
+      headers["Access-Control-Allow-Origin"] = origin;
+    } else {
+      delete headers["Access-Control-Allow-Origin"];
+    }
+    headers.Vary = headers.Vary ? `${headers.Vary}, Origin` : "Origin";
+    if (headers["Netlify-CDN-Cache-Control"]) {
+      headers["Netlify-Vary"] = addNetlifyVary(headers["Netlify-Vary"]);
+    }
+    return { ...response, headers };
+  };
+}
+
+module.exports = { restrictOrigins };
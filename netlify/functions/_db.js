@@ -4,6 +4,7 @@
 // so this module is inlined into each function bundle.
 
 const { createClient } = require("@libsql/client/http");
+const { migrate } = require("./_migrate");
 
 let _client = null;
 
@@ -24,51 +25,20 @@ function getDb() {
   return _client;
 }
 
+// Applies pending schema migrations (see _migrate.js) once per cold start.
+// Concurrent calls in the same instance share the one in-flight run.
+let _migrated = null;
+
 async function initDb() {
   const db = getDb();
 
-  await db.execute(`
-    CREATE TABLE IF NOT EXISTS parcels (
-      id TEXT PRIMARY KEY,
-      tracking_code TEXT UNIQUE NOT NULL,
-      sender_name TEXT NOT NULL,
-      sender_email TEXT,
-      sender_address TEXT NOT NULL,
-      receiver_name TEXT NOT NULL,
-      receiver_email TEXT NOT NULL,
-      receiver_address TEXT NOT NULL,
-      parcel_description TEXT NOT NULL,
-      delivery_from_address TEXT NOT NULL,
-      days_to_deliver INTEGER NOT NULL,
-      status TEXT DEFAULT 'pending',
-      current_lat REAL,
-      current_lng REAL,
-      current_location_name TEXT DEFAULT 'Awaiting Pickup',
-      origin_lat REAL,
-      origin_lng REAL,
-      destination_lat REAL,
-      destination_lng REAL,
-      route_points TEXT,
-      route_progress INTEGER DEFAULT 0,
-      created_at TEXT DEFAULT (datetime('now')),
-      estimated_delivery TEXT,
-      last_updated TEXT DEFAULT (datetime('now'))
-    )
-  `);
-
-  await db.execute(`
-    CREATE TABLE IF NOT EXISTS tracking_events (
-      id TEXT PRIMARY KEY,
-      tracking_code TEXT NOT NULL,
-      event_type TEXT NOT NULL,
-      description TEXT NOT NULL,
-      location_name TEXT,
-      lat REAL,
-      lng REAL,
-      timestamp TEXT DEFAULT (datetime('now')),
-      FOREIGN KEY (tracking_code) REFERENCES parcels(tracking_code)
-    )
-  `);
+  if (!_migrated) {
+    _migrated = migrate(db).catch((e) => {
+      _migrated = null;
+      throw e;
+    });
+  }
+  await _migrated;
 
   return db;
 }
@@ -76,23 +46,25 @@ async function initDb() {
 // Standard CORS headers for all function responses
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Headers": "Content-Type",
-  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers":
+    "Content-Type, Authorization, X-Tracking-Token, If-None-Match, If-Modified-Since",
+  "Access-Control-Allow-Methods": "GET, POST, PATCH, DELETE, OPTIONS",
+  "Access-Control-Expose-Headers": "ETag, Last-Modified",
   "Content-Type": "application/json",
 };
 
-function ok(body, status = 200) {
+function ok(body, status = 200, headers = {}) {
   return {
     statusCode: status,
-    headers: CORS_HEADERS,
+    headers: { ...CORS_HEADERS, ...headers },
     body: JSON.stringify(body),
   };
 }
 
-function err(message, status = 400) {
+function err(message, status = 400, headers = {}) {
   return {
     statusCode: status,
-    headers: CORS_HEADERS,
+    headers: { ...CORS_HEADERS, ...headers },
     body: JSON.stringify({ error: message }),
   };
 }
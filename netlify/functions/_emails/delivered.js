@@ -0,0 +1,50 @@
+// netlify/functions/_emails/delivered.js
+// To the receiver (and subscribers) once the parcel is delivered
+
+const { html } = require("../_templates");
+const {
+  button,
+  detailsTable,
+  receiverRows,
+  greeting,
+  trackingCode,
+  layout,
+} = require("./partials");
+
+module.exports = {
+  name: "delivered",
+  description: "Parcel delivered",
+
+  subject: (ctx) => `Delivered — ${ctx.trackingCode}`,
+
+  html: (ctx) =>
+    layout(ctx, {
+      preheader: `${ctx.subscriber ? "Parcel" : "Your parcel"} ${ctx.trackingCode} has been delivered.`,
+      heading: greeting("✅ Delivered", ctx.recipientName),
+      body: html`<p>
+          ${
+            ctx.subscriber
+              ? "The parcel you are following has been delivered."
+              : "Your parcel has been delivered."
+          }
+          Thank you for shipping with SwiftPulse.
+        </p>
+        ${detailsTable([
+          ["Tracking Code", trackingCode(ctx.trackingCode)],
+          ...receiverRows(ctx, [
+            ["Description", ctx.parcelDescription],
+            ["From", ctx.senderName],
+            ["Delivered To", ctx.receiverAddress],
+          ]),
+        ])}
+        ${
+          ctx.subscriber
+            ? ""
+            : html`<p>
+                If you haven't received it, reply to this email quoting the
+                tracking code and we will look into it.
+              </p>`
+        }
+        ${button(ctx.trackUrl, "View Delivery Details")}`,
+    }),
+};
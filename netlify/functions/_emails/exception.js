@@ -0,0 +1,44 @@
+// netlify/functions/_emails/exception.js
+// To the receiver (and subscribers) when a dispatcher puts the parcel into
+// an exception status (on hold, delayed, held at customs...; see _status.js)
+
+const { html } = require("../_templates");
+const {
+  button,
+  detailsTable,
+  receiverRows,
+  trackingCode,
+  layout,
+} = require("./partials");
+
+module.exports = {
+  name: "exception",
+  description: "Parcel held, delayed or otherwise in an exception status",
+
+  subject: (ctx) =>
+    `Update on ${ctx.subscriber ? "parcel" : "your parcel"}: ${ctx.statusLabel} — ${ctx.trackingCode}`,
+
+  html: (ctx) =>
+    layout(ctx, {
+      preheader: `${ctx.subscriber ? "Parcel" : "Your parcel"} ${ctx.trackingCode} is ${String(ctx.statusLabel).toLowerCase()}.`,
+      heading: `⚠️ ${ctx.statusLabel}`,
+      body: html`<p>
+          ${ctx.recipientName ? `Hi ${ctx.recipientName}, there` : "There"} is a
+          problem with
+          ${ctx.subscriber ? "the parcel you are following" : "your parcel"} and
+          it is currently <strong>${ctx.statusLabel}</strong>.
+        </p>
+        ${detailsTable([
+          ["Tracking Code", trackingCode(ctx.trackingCode)],
+          ["Reason", ctx.exceptionReason],
+          ...receiverRows(ctx, [["Description", ctx.parcelDescription]]),
+          ["Last Seen", ctx.currentLocation],
+          ["Est. Delivery", ctx.estimatedDelivery],
+        ])}
+        <p>
+          We will email you again once this is resolved. The estimated delivery
+          date may change in the meantime.
+        </p>
+        ${button(ctx.trackUrl, "Check Your Parcel")}`,
+    }),
+};
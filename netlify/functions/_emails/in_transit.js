@@ -0,0 +1,43 @@
+// netlify/functions/_emails/in_transit.js
+// To the receiver (and subscribers) once the parcel has been picked up
+// and is moving
+
+const { html } = require("../_templates");
+const {
+  button,
+  detailsTable,
+  receiverRows,
+  greeting,
+  trackingCode,
+  layout,
+} = require("./partials");
+
+module.exports = {
+  name: "in_transit",
+  description: "Parcel picked up and in transit",
+
+  subject: (ctx) => `Picked up and in transit — ${ctx.trackingCode}`,
+
+  html: (ctx) =>
+    layout(ctx, {
+      preheader: `${ctx.subscriber ? "Parcel" : "Your parcel"} ${ctx.trackingCode} has been picked up and is on the move.`,
+      heading: greeting("🛫 On the move", ctx.recipientName),
+      body: html`<p>
+          ${
+            ctx.subscriber
+              ? "The parcel you are following has been picked up and is now in transit."
+              : "Your parcel has been picked up and is now in transit to you."
+          }
+        </p>
+        ${detailsTable([
+          ["Tracking Code", trackingCode(ctx.trackingCode)],
+          ...receiverRows(ctx, [
+            ["Description", ctx.parcelDescription],
+            ["From", ctx.senderName],
+            ["Delivery To", ctx.receiverAddress],
+          ]),
+          ["Est. Delivery", ctx.estimatedDelivery],
+        ])}
+        ${button(ctx.trackUrl, "Track Your Parcel")}`,
+    }),
+};
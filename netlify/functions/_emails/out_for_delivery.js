@@ -0,0 +1,44 @@
+// netlify/functions/_emails/out_for_delivery.js
+// To the receiver (and subscribers) on the last leg: the parcel is with
+// the courier for delivery today
+
+const { html } = require("../_templates");
+const {
+  button,
+  detailsTable,
+  receiverRows,
+  greeting,
+  trackingCode,
+  layout,
+} = require("./partials");
+
+module.exports = {
+  name: "out_for_delivery",
+  description: "Parcel out for delivery",
+
+  subject: (ctx) => `Out for delivery today — ${ctx.trackingCode}`,
+
+  html: (ctx) =>
+    layout(ctx, {
+      preheader: ctx.subscriber
+        ? `Parcel ${ctx.trackingCode} is out for delivery.`
+        : `Your parcel ${ctx.trackingCode} is out for delivery. Make sure someone can receive it.`,
+      heading: greeting("🚚 Out for delivery", ctx.recipientName),
+      body: html`<p>
+          ${
+            ctx.subscriber
+              ? "The parcel you are following is out for delivery and should arrive today."
+              : "Your parcel is out for delivery and should reach you today. Please make sure someone is available to receive it."
+          }
+        </p>
+        ${detailsTable([
+          ["Tracking Code", trackingCode(ctx.trackingCode)],
+          ...receiverRows(ctx, [
+            ["Description", ctx.parcelDescription],
+            ["Delivery To", ctx.receiverAddress],
+          ]),
+          ["Last Seen", ctx.currentLocation],
+        ])}
+        ${button(ctx.trackUrl, "Follow It Live")}`,
+    }),
+};
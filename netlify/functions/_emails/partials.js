@@ -0,0 +1,103 @@
+// netlify/functions/_emails/partials.js
+// Branding shared by every email: the layout around the body, the amber
+// call-to-action button and the label/value details table. Inline styles
+// only, since most mail clients drop <style>.
+
+const { html } = require("../_templates");
+
+const ACCENT = "#F59E0B";
+
+function button(href, label) {
+  return html`<p style="margin:24px 0;">
+    <a
+      href="${href}"
+      style="display:inline-block;background:${ACCENT};color:#000;padding:12px 24px;text-decoration:none;font-weight:bold;border-radius:4px;"
+      >${label}</a
+    >
+  </p>`;
+}
+
+// rows: [label, value] pairs; rows without a value are left out
+function detailsTable(rows) {
+  const shown = rows.filter(([, value]) => value);
+  return html`<table style="width:100%;border-collapse:collapse;margin:20px 0;">
+    ${shown.map(
+      ([label, value], i) =>
+        html`<tr${i % 2 ? html` style="background:#f9f9f9;"` : ""}>
+          <th
+            scope="row"
+            style="padding:8px;color:#888;width:160px;text-align:left;font-weight:normal;"
+          >
+            ${label}
+          </th>
+          <td style="padding:8px;">${value}</td>
+        </tr>`,
+    )}
+  </table>`;
+}
+
+// Rows only the receiver sees (description, sender, address). Subscribers
+// get the same email without them: anyone who verified once could
+// otherwise have the receiver's details sent to an address of their own.
+function receiverRows(ctx, rows) {
+  return ctx.subscriber ? [] : rows;
+}
+
+// "Delivered, Ada!", or "Delivered!" for a subscriber
+function greeting(text, name) {
+  return name ? `${text}, ${name}!` : `${text}!`;
+}
+
+// The tracking code, as every email shows it
+function trackingCode(code) {
+  return html`<strong style="letter-spacing:0.1em;">${code}</strong>`;
+}
+
+// preheader: the line inboxes show after the subject
+function layout(ctx, { preheader, heading, body }) {
+  return html`<!doctype html>
+    <html>
+      <head>
+        <meta charset="utf-8" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+        <title>${heading}</title>
+      </head>
+      <body style="margin:0;padding:24px;background:#ffffff;color:#111;">
+        <div
+          class="preheader"
+          style="display:none;max-height:0;overflow:hidden;"
+        >
+          ${preheader}
+        </div>
+        <div style="font-family:sans-serif;max-width:560px;margin:0 auto;">
+          <h2 style="color:${ACCENT};">${heading}</h2>
+          ${body}
+          <p style="color:#aaa;font-size:12px;margin-top:32px;">
+            ${
+              ctx.unsubscribeUrl &&
+              html`Updates about parcel ${ctx.trackingCode}.
+                <a href="${ctx.unsubscribeUrl}" style="color:#aaa;"
+                  >Unsubscribe</a
+                ><br />`
+            }
+            SwiftPulse Courier · Powered by CRX
+            ${
+              ctx.siteUrl &&
+              html`<br /><a href="${ctx.siteUrl}" style="color:#aaa;"
+                  >${ctx.siteUrl}</a
+                >`
+            }
+          </p>
+        </div>
+      </body>
+    </html>`;
+}
+
+module.exports = {
+  button,
+  detailsTable,
+  receiverRows,
+  greeting,
+  trackingCode,
+  layout,
+};
@@ -0,0 +1,40 @@
+// netlify/functions/_emails/resumed.js
+// To the receiver (and subscribers) when a dispatcher clears a hold or
+// other exception (see _status.js): the follow-up exception.js promises
+
+const { html } = require("../_templates");
+const {
+  button,
+  detailsTable,
+  receiverRows,
+  greeting,
+  trackingCode,
+  layout,
+} = require("./partials");
+
+module.exports = {
+  name: "resumed",
+  description: "Hold or other exception cleared",
+
+  subject: (ctx) => `Back on track — ${ctx.trackingCode}`,
+
+  html: (ctx) =>
+    layout(ctx, {
+      preheader: `${ctx.subscriber ? "Parcel" : "Your parcel"} ${ctx.trackingCode} is no longer held.`,
+      heading: greeting("✅ Back on track", ctx.recipientName),
+      body: html`<p>
+          ${ctx.subscriber ? "The parcel you are following" : "Your parcel"} is
+          no longer held and is <strong>${ctx.statusLabel}</strong> again.
+        </p>
+        ${detailsTable([
+          ["Tracking Code", trackingCode(ctx.trackingCode)],
+          ...receiverRows(ctx, [
+            ["Description", ctx.parcelDescription],
+            ["Delivery To", ctx.receiverAddress],
+          ]),
+          ["Last Seen", ctx.currentLocation],
+          ["Est. Delivery", ctx.estimatedDelivery],
+        ])}
+        ${button(ctx.trackUrl, "Track Your Parcel")}`,
+    }),
+};
@@ -0,0 +1,45 @@
+// netlify/functions/_emails/returned.js
+// To the receiver (and subscribers) once a returned parcel is back with its
+// sender (see _returns.js). Nothing follows this one.
+
+const { html } = require("../_templates");
+const {
+  button,
+  detailsTable,
+  receiverRows,
+  trackingCode,
+  layout,
+} = require("./partials");
+
+module.exports = {
+  name: "returned",
+  description: "Parcel returned to its sender",
+
+  subject: (ctx) => `Returned to sender — ${ctx.trackingCode}`,
+
+  html: (ctx) =>
+    layout(ctx, {
+      preheader: `${ctx.subscriber ? "Parcel" : "Your parcel"} ${ctx.trackingCode} is back with its sender.`,
+      heading: "📦 Returned to sender",
+      body: html`<p>
+          ${
+            ctx.subscriber
+              ? "The parcel you are following"
+              : ctx.recipientName
+                ? `Hi ${ctx.recipientName}, your parcel`
+                : "Your parcel"
+          }
+          has been returned to its sender. Its delivery is closed and we won't
+          email about it again.
+        </p>
+        ${detailsTable([
+          ["Tracking Code", trackingCode(ctx.trackingCode)],
+          ["Reason", ctx.exceptionReason],
+          ...receiverRows(ctx, [
+            ["Description", ctx.parcelDescription],
+            ["From", ctx.senderName],
+          ]),
+        ])}
+        ${button(ctx.trackUrl, "View Its Journey")}`,
+    }),
+};
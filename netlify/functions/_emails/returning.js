@@ -0,0 +1,53 @@
+// netlify/functions/_emails/returning.js
+// To the receiver (and subscribers) when a dispatcher sends the parcel back
+// to its sender (see _returns.js)
+
+const { html } = require("../_templates");
+const {
+  button,
+  detailsTable,
+  receiverRows,
+  trackingCode,
+  layout,
+} = require("./partials");
+
+module.exports = {
+  name: "returning",
+  description: "Parcel sent back to its sender",
+
+  subject: (ctx) =>
+    `${ctx.subscriber ? "Parcel" : "Your parcel"} is being returned — ${ctx.trackingCode}`,
+
+  html: (ctx) =>
+    layout(ctx, {
+      preheader: `${ctx.subscriber ? "Parcel" : "Your parcel"} ${ctx.trackingCode} is on its way back to the sender.`,
+      heading: "↩️ Returning to sender",
+      body: html`<p>
+          ${
+            ctx.subscriber
+              ? "The parcel you are following"
+              : ctx.recipientName
+                ? `Hi ${ctx.recipientName}, your parcel`
+                : "Your parcel"
+          }
+          won't be delivered. It is on its way back to the sender.
+        </p>
+        ${detailsTable([
+          ["Tracking Code", trackingCode(ctx.trackingCode)],
+          ["Reason", ctx.exceptionReason],
+          ...receiverRows(ctx, [
+            ["Description", ctx.parcelDescription],
+            ["From", ctx.senderName],
+          ]),
+          ["Last Seen", ctx.currentLocation],
+        ])}
+        <p>
+          ${
+            ctx.subscriber
+              ? "The tracking page follows it back."
+              : "If you weren't expecting this, please contact the sender."
+          }
+        </p>
+        ${button(ctx.trackUrl, "Follow The Return")}`,
+    }),
+};
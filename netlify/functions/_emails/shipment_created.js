@@ -0,0 +1,35 @@
+// netlify/functions/_emails/shipment_created.js
+// To the receiver when a parcel is registered (create-parcel.js)
+
+const { html } = require("../_templates");
+const {
+  button,
+  detailsTable,
+  greeting,
+  trackingCode,
+  layout,
+} = require("./partials");
+
+module.exports = {
+  name: "shipment_created",
+  description: "Parcel registered, on its way to the receiver",
+
+  subject: (ctx) => `Your parcel is on its way — ${ctx.trackingCode}`,
+
+  html: (ctx) =>
+    layout(ctx, {
+      preheader: `${ctx.senderName || "Someone"} has sent you a parcel. Track it with ${ctx.trackingCode}.`,
+      heading: greeting("📦 Parcel Incoming", ctx.recipientName),
+      body: html`<p>
+          A parcel has been sent to you and is now registered in our system.
+        </p>
+        ${detailsTable([
+          ["Tracking Code", trackingCode(ctx.trackingCode)],
+          ["Description", ctx.parcelDescription],
+          ["From", ctx.senderName],
+          ["Delivery To", ctx.receiverAddress],
+          ["Est. Delivery", ctx.estimatedDelivery],
+        ])}
+        ${button(ctx.trackUrl, "Track Your Parcel")}`,
+    }),
+};
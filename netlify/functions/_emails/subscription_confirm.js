@@ -0,0 +1,30 @@
+// netlify/functions/_emails/subscription_confirm.js
+// To an address someone subscribed on the track page: the subscription
+// starts once its link is clicked (see _subscriptions.js)
+
+const { html } = require("../_templates");
+const { button, trackingCode, layout } = require("./partials");
+
+module.exports = {
+  name: "subscription_confirm",
+  description: "Confirm a subscription to a parcel's updates",
+
+  subject: (ctx) => `Confirm updates for ${ctx.trackingCode}`,
+
+  html: (ctx) =>
+    layout(ctx, {
+      preheader: `Confirm to get email updates about parcel ${ctx.trackingCode}.`,
+      heading: "📬 Confirm your subscription",
+      body: html`<p>
+          Someone asked for this address to get email updates about parcel
+          ${trackingCode(ctx.trackingCode)}:
+        </p>
+        <ul>
+          ${(ctx.events || []).map((label) => html`<li>${label}</li>`)}
+        </ul>
+        ${button(ctx.confirmUrl, "Confirm Subscription")}
+        <p>
+          If that wasn't you, ignore this email and you won't hear from us.
+        </p>`,
+    }),
+};
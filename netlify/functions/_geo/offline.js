@@ -0,0 +1,181 @@
+// netlify/functions/_geo/offline.js
+// Offline provider (GEO_PROVIDER=offline) for `netlify dev` and tests
+// Geocoding  → bundled gazetteer of world cities (world-cities.json)
+// Routing    → great-circle path between the two points
+// Reverse    → nearest gazetteer city
+//
+// Addresses resolve to city level only: "12 Allen Avenue, Ikeja, Lagos"
+// lands on Lagos. No network access or API keys are needed.
+
+const { distanceMeters, greatCircle, pathLength } = require("../_geodesy");
+
+const CITIES = require("./world-cities.json").map(
+  ([name, country, iso2, lat, lng, population]) => ({
+    name,
+    country,
+    iso2,
+    lat,
+    lng,
+    population,
+    key: normalize(name),
+  }),
+);
+
+// Common ways of writing a country that aren't its gazetteer name or ISO code
+const COUNTRY_ALIASES = {
+  usa: "US",
+  "united states of america": "US",
+  uk: "GB",
+  "great britain": "GB",
+  britain: "GB",
+  england: "GB",
+  scotland: "GB",
+  wales: "GB",
+  "northern ireland": "GB",
+  uae: "AE",
+  emirates: "AE",
+  holland: "NL",
+  "ivory coast": "CI",
+  drc: "CD",
+  "democratic republic of the congo": "CD",
+  korea: "KR",
+  czechia: "CZ",
+  turkiye: "TR",
+};
+
+const CITY_ALIASES = {
+  nyc: "new york",
+  "new york city": "new york",
+  "washington dc": "washington",
+  bangalore: "bengaluru",
+  bombay: "mumbai",
+  calcutta: "kolkata",
+  madras: "chennai",
+  "new delhi": "delhi",
+  saigon: "ho chi minh city",
+  kiev: "kyiv",
+  odessa: "odesa",
+  peking: "beijing",
+  "victoria island": "lagos",
+};
+
+const COUNTRIES = new Map();
+for (const c of CITIES) {
+  COUNTRIES.set(normalize(c.country), c.iso2);
+  COUNTRIES.set(c.iso2.toLowerCase(), c.iso2);
+}
+for (const [alias, iso2] of Object.entries(COUNTRY_ALIASES))
+  COUNTRIES.set(alias, iso2);
+
+const NEARBY_METERS = 40000;
+const REGION_METERS = 250000;
+
+function normalize(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+function placeName(city) {
+  return `${city.name}, ${city.country}`;
+}
+
+// ─── Forward geocoding ────────────────────────────────────────────────────────
+function detectCountry(segments) {
+  for (let i = segments.length - 1; i >= 0; i--) {
+    if (COUNTRIES.has(segments[i])) return COUNTRIES.get(segments[i]);
+    // "Lagos Nigeria", "Accra 00233 Ghana"
+    for (const [name, iso2] of COUNTRIES) {
+      if (name.length > 3 && ` ${segments[i]}`.endsWith(` ${name}`))
+        return iso2;
+    }
+  }
+  return null;
+}
+
+async function geocode(address) {
+  console.log(`[geocode] Offline lookup for: "${address}"`);
+
+  const segments = String(address)
+    .split(",")
+    .map((s) => normalize(s))
+    .filter(Boolean);
+  if (!segments.length) return null;
+
+  let text = ` ${segments.join(" , ")} `;
+  for (const [alias, key] of Object.entries(CITY_ALIASES))
+    text = text.replace(` ${alias} `, ` ${key} `);
+
+  const country = detectCountry(segments);
+
+  // Every city named in the address. The one written last wins, so
+  // "Washington Street, Boston" is Boston, then the longer name, then size
+  const matches = CITIES.map((city) => ({
+    city,
+    at: text.lastIndexOf(` ${city.key} `),
+  })).filter((m) => m.at !== -1);
+
+  const inCountry = matches.filter((m) => m.city.iso2 === country);
+  const pool = inCountry.length ? inCountry : matches;
+  pool.sort(
+    (a, b) =>
+      b.at - a.at ||
+      b.city.key.length - a.city.key.length ||
+      b.city.population - a.city.population,
+  );
+
+  let hit = pool[0]?.city;
+  let name = hit && placeName(hit);
+
+  // Only a country was given: use its largest city
+  if (!hit && country) {
+    hit = CITIES.filter((c) => c.iso2 === country).sort(
+      (a, b) => b.population - a.population,
+    )[0];
+    name = hit?.country;
+  }
+
+  if (!hit) {
+    console.warn(`[geocode] No gazetteer match for: "${address}"`);
+    return null;
+  }
+
+  console.log(`[geocode] ✅ "${address}" → ${hit.lat}, ${hit.lng} (${name})`);
+  return { lat: hit.lat, lng: hit.lng, placeName: name };
+}
+
+// ─── Routing ──────────────────────────────────────────────────────────────────
+async function route(oLat, oLng, dLat, dLng) {
+  const points = greatCircle(
+    { lat: oLat, lng: oLng },
+    { lat: dLat, lng: dLng },
+    100,
+  );
+  const meters = pathLength(points);
+  console.log(
+    `[route] ✅ Great-circle: ${points.length} points, ~${Math.round(meters / 1000)}km`,
+  );
+  return { points, distanceMeters: meters };
+}
+
+// ─── Reverse geocoding ────────────────────────────────────────────────────────
+async function reverseGeocode(lat, lng) {
+  let nearest = null;
+  let best = Infinity;
+  for (const city of CITIES) {
+    const d = distanceMeters({ lat, lng }, city);
+    if (d < best) {
+      best = d;
+      nearest = city;
+    }
+  }
+
+  if (!nearest || best > REGION_METERS) return "In transit";
+  if (best > NEARBY_METERS) return `Near ${placeName(nearest)}`;
+  return placeName(nearest);
+}
+
+module.exports = { name: "offline", geocode, route, reverseGeocode };
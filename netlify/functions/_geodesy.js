@@ -0,0 +1,99 @@
+// netlify/functions/_geodesy.js
+// Spherical geometry for routes that aren't on roads (ocean, air, fallback).
+// Points are { lat, lng } in degrees, distances in metres on a sphere of
+// the Earth's mean radius — close enough for progress bars and ETAs.
+
+const EARTH_RADIUS = 6371000;
+
+const rad = (d) => (d * Math.PI) / 180;
+const deg = (r) => (r * 180) / Math.PI;
+
+// Angle between two points seen from the Earth's centre (haversine)
+function centralAngle(a, b) {
+  const h =
+    Math.sin(rad(b.lat - a.lat) / 2) ** 2 +
+    Math.cos(rad(a.lat)) *
+      Math.cos(rad(b.lat)) *
+      Math.sin(rad(b.lng - a.lng) / 2) ** 2;
+  return 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+function distanceMeters(a, b) {
+  return EARTH_RADIUS * centralAngle(a, b);
+}
+
+// Sum of the arcs between consecutive points
+function pathLength(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++)
+    total += distanceMeters(points[i - 1], points[i]);
+  return total;
+}
+
+// steps + 1 points along the shortest arc from a to b (slerp between the
+// two unit vectors). Longitudes come back normalised to [-180, 180].
+function greatCircle(a, b, steps = 100) {
+  const δ = centralAngle(a, b);
+  const points = [];
+
+  for (let i = 0; i <= steps; i++) {
+    const t = i / steps;
+    if (δ < 1e-9) {
+      points.push({ lat: a.lat, lng: a.lng });
+      continue;
+    }
+    const wa = Math.sin((1 - t) * δ) / Math.sin(δ);
+    const wb = Math.sin(t * δ) / Math.sin(δ);
+    const x =
+      wa * Math.cos(rad(a.lat)) * Math.cos(rad(a.lng)) +
+      wb * Math.cos(rad(b.lat)) * Math.cos(rad(b.lng));
+    const y =
+      wa * Math.cos(rad(a.lat)) * Math.sin(rad(a.lng)) +
+      wb * Math.cos(rad(b.lat)) * Math.sin(rad(b.lng));
+    const z = wa * Math.sin(rad(a.lat)) + wb * Math.sin(rad(b.lat));
+    points.push({
+      lat: deg(Math.atan2(z, Math.sqrt(x * x + y * y))),
+      lng: deg(Math.atan2(y, x)),
+    });
+  }
+
+  // Keep the endpoints exact rather than round-tripped through vectors
+  points[0] = { lat: a.lat, lng: a.lng };
+  points[steps] = { lat: b.lat, lng: b.lng };
+  return points;
+}
+
+// Splits a path wherever it crosses ±180° so map libraries don't draw the
+// jump as a line across the whole world. Returns an array of paths; each
+// side of a crossing gets an interpolated point on the meridian itself.
+function splitAtAntimeridian(points) {
+  if (!points?.length) return [];
+
+  const segments = [[points[0]]];
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const next = points[i];
+
+    if (Math.abs(next.lng - prev.lng) > 180) {
+      const edge = prev.lng > 0 ? 180 : -180;
+      // Distance to the meridian, measured on the unwrapped longitude
+      const unwrapped = next.lng + (edge > 0 ? 360 : -360);
+      const t = (edge - prev.lng) / (unwrapped - prev.lng);
+      const lat = prev.lat + (next.lat - prev.lat) * t;
+
+      segments[segments.length - 1].push({ lat, lng: edge });
+      segments.push([{ lat, lng: -edge }]);
+    }
+
+    segments[segments.length - 1].push(next);
+  }
+  return segments;
+}
+
+module.exports = {
+  EARTH_RADIUS,
+  distanceMeters,
+  pathLength,
+  greatCircle,
+  splitAtAntimeridian,
+};
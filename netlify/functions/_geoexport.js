@@ -0,0 +1,278 @@
+// netlify/functions/_geoexport.js
+// A parcel's journey for GIS tools, as GeoJSON, GPX or KML:
+//   planned    route_points, as booked (or as rerouted since)
+//   travelled  the positions its tracking events were logged at, in order
+//   markers    origin, destination and where it is now
+// Paths are split at ±180° (see _geodesy.js), so a Pacific crossing comes
+// out as several lines rather than one across the whole map.
+//
+// Served by track-export.js (public or detailed tier, see _privacy.js) and
+// admin-parcels.js (always detailed).
+
+const { splitAtAntimeridian } = require("./_geodesy");
+const { statusLabel } = require("./_status");
+const { parseTimestamp } = require("./_cache");
+const {
+  coarse,
+  coarsePlace,
+  coarseAddress,
+  publicEvent,
+} = require("./_privacy");
+
+// ─── Journey ──────────────────────────────────────────────────────────────────
+function point(lat, lng) {
+  return lat == null || lng == null ? null : { lat, lng };
+}
+
+// events: the parcel's tracking_events rows, any order
+function journeyFor(parcel, events, { detailed }) {
+  const round = (p) =>
+    detailed || !p ? p : { ...p, lat: coarse(p.lat), lng: coarse(p.lng) };
+
+  const planned = JSON.parse(parcel.route_points || "[]").map((p) =>
+    round({ lat: p.lat, lng: p.lng }),
+  );
+
+  // Oldest first; an event logged where the last one was adds nothing
+  const travelled = [];
+  [...events]
+    .sort((a, b) => (a.timestamp < b.timestamp ? -1 : 1))
+    .map((ev) => (detailed ? ev : publicEvent(ev, parcel)))
+    .filter((ev) => point(ev.lat, ev.lng))
+    .forEach((ev) => {
+      const last = travelled[travelled.length - 1];
+      if (last && last.lat === ev.lat && last.lng === ev.lng) return;
+      travelled.push({
+        lat: ev.lat,
+        lng: ev.lng,
+        time: ev.timestamp,
+        name: ev.location_name,
+        description: ev.description,
+      });
+    });
+
+  const markers = [
+    {
+      kind: "origin",
+      name: detailed
+        ? parcel.delivery_from_address
+        : coarseAddress(parcel.delivery_from_address),
+      ...round(point(parcel.origin_lat, parcel.origin_lng)),
+    },
+    {
+      kind: "destination",
+      name: detailed
+        ? parcel.receiver_address
+        : coarseAddress(parcel.receiver_address),
+      ...round(point(parcel.destination_lat, parcel.destination_lng)),
+    },
+    {
+      kind: "current",
+      name: detailed
+        ? parcel.current_location_name
+        : coarsePlace(parcel.current_location_name),
+      ...round(point(parcel.current_lat, parcel.current_lng)),
+    },
+  ].filter((m) => m.lat != null);
+
+  return {
+    trackingCode: parcel.tracking_code,
+    status: statusLabel(parcel.status),
+    planned,
+    travelled,
+    markers,
+  };
+}
+
+// ─── Formats ──────────────────────────────────────────────────────────────────
+function escapeXml(value) {
+  return String(value ?? "").replace(
+    /[<>&"']/g,
+    (c) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        '"': "&quot;",
+        "'": "&apos;",
+      })[c],
+  );
+}
+
+function isoTime(value) {
+  const date = parseTimestamp(value);
+  return date ? date.toISOString() : null;
+}
+
+function toGeoJSON(journey) {
+  const line = (kind, points, extra = {}) => {
+    const segments = splitAtAntimeridian(points).filter((s) => s.length > 1);
+    if (!segments.length) return null;
+    const coords = segments.map((s) => s.map((p) => [p.lng, p.lat]));
+    return {
+      type: "Feature",
+      properties: { kind, trackingCode: journey.trackingCode, ...extra },
+      geometry:
+        coords.length === 1
+          ? { type: "LineString", coordinates: coords[0] }
+          : { type: "MultiLineString", coordinates: coords },
+    };
+  };
+
+  const features = [
+    line("planned", journey.planned),
+    line("travelled", journey.travelled, {
+      times: journey.travelled.map((p) => isoTime(p.time)),
+    }),
+    ...journey.markers.map((m) => ({
+      type: "Feature",
+      properties: {
+        kind: m.kind,
+        name: m.name,
+        trackingCode: journey.trackingCode,
+        ...(m.kind === "current" ? { status: journey.status } : {}),
+      },
+      geometry: { type: "Point", coordinates: [m.lng, m.lat] },
+    })),
+    ...journey.travelled.map((p) => ({
+      type: "Feature",
+      properties: {
+        kind: "event",
+        name: p.name,
+        description: p.description,
+        time: isoTime(p.time),
+      },
+      geometry: { type: "Point", coordinates: [p.lng, p.lat] },
+    })),
+  ].filter(Boolean);
+
+  return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+}
+
+function toGPX(journey) {
+  const code = escapeXml(journey.trackingCode);
+  const wpt = (p, name, desc, time) =>
+    `  <wpt lat="${p.lat}" lon="${p.lng}">${time ? `<time>${time}</time>` : ""}` +
+    `<name>${escapeXml(name)}</name>${desc ? `<desc>${escapeXml(desc)}</desc>` : ""}</wpt>`;
+  const segments = (points, time) =>
+    splitAtAntimeridian(points)
+      .filter((s) => s.length > 1)
+      .map(
+        (s) =>
+          `    <trkseg>\n${s
+            .map((p) => {
+              const t = time && isoTime(p.time);
+              return `      <trkpt lat="${p.lat}" lon="${p.lng}">${t ? `<time>${t}</time>` : ""}</trkpt>`;
+            })
+            .join("\n")}\n    </trkseg>`,
+      )
+      .join("\n");
+  // GPX has routes (<rte>) too, but they can't be split in parts
+  const track = (name, points, time) => {
+    const segs = segments(points, time);
+    return segs
+      ? `  <trk>\n    <name>${code} ${name}</name>\n${segs}\n  </trk>`
+      : "";
+  };
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Swift Pulse" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${code}</name><desc>${escapeXml(journey.status)}</desc></metadata>`,
+    ...journey.markers.map((m) => wpt(m, `${m.kind}: ${m.name || ""}`)),
+    ...journey.travelled.map((p) =>
+      wpt(p, p.name || "", p.description, isoTime(p.time)),
+    ),
+    track("planned", journey.planned, false),
+    track("travelled", journey.travelled, true),
+    "</gpx>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+const KML_STYLES = {
+  planned: "ff0b9ef5", // amber, as on the track page (aabbggrr)
+  travelled: "ff80de4a",
+};
+
+function toKML(journey) {
+  const coords = (points) => points.map((p) => `${p.lng},${p.lat},0`).join(" ");
+  const placemarkLine = (kind, points) => {
+    const segments = splitAtAntimeridian(points).filter((s) => s.length > 1);
+    if (!segments.length) return "";
+    const lines = segments
+      .map(
+        (s) =>
+          `<LineString><coordinates>${coords(s)}</coordinates></LineString>`,
+      )
+      .join("");
+    return `    <Placemark><name>${kind}</name><styleUrl>#${kind}</styleUrl><MultiGeometry>${lines}</MultiGeometry></Placemark>`;
+  };
+  const placemarkPoint = (name, p, description, time) =>
+    `    <Placemark><name>${escapeXml(name)}</name>` +
+    (description
+      ? `<description>${escapeXml(description)}</description>`
+      : "") +
+    (time ? `<TimeStamp><when>${time}</when></TimeStamp>` : "") +
+    `<Point><coordinates>${p.lng},${p.lat},0</coordinates></Point></Placemark>`;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "  <Document>",
+    `    <name>${escapeXml(journey.trackingCode)}</name>`,
+    `    <description>${escapeXml(journey.status)}</description>`,
+    ...Object.entries(KML_STYLES).map(
+      ([kind, color]) =>
+        `    <Style id="${kind}"><LineStyle><color>${color}</color><width>3</width></LineStyle></Style>`,
+    ),
+    placemarkLine("planned", journey.planned),
+    placemarkLine("travelled", journey.travelled),
+    ...journey.markers.map((m) => placemarkPoint(m.kind, m, m.name)),
+    "    <Folder><name>events</name>",
+    ...journey.travelled.map((p) =>
+      placemarkPoint(p.name || "", p, p.description, isoTime(p.time)),
+    ),
+    "    </Folder>",
+    "  </Document>",
+    "</kml>",
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+const FORMATS = {
+  geojson: {
+    contentType: "application/geo+json",
+    extension: "geojson",
+    render: toGeoJSON,
+  },
+  gpx: {
+    contentType: "application/gpx+xml",
+    extension: "gpx",
+    render: toGPX,
+  },
+  kml: {
+    contentType: "application/vnd.google-earth.kml+xml",
+    extension: "kml",
+    render: toKML,
+  },
+};
+
+// A download response: { statusCode, headers, body }, headers on top of
+// the caller's (CORS, caching)
+function exportResponse(journey, format, headers = {}) {
+  const { contentType, extension, render } = FORMATS[format];
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      "Content-Type": `${contentType}; charset=utf-8`,
+      "Content-Disposition": `attachment; filename="${journey.trackingCode}-journey.${extension}"`,
+    },
+    body: render(journey),
+  };
+}
+
+module.exports = { FORMATS, journeyFor, exportResponse };
@@ -0,0 +1,334 @@
+// netlify/functions/_journey.js
+// Multi-modal journeys: road to a departure hub, air or sea between hubs,
+// road to the destination.
+//
+// route_points stays one continuous path, so route_progress, thinning and
+// splicing work as before. route_legs says which slice is which leg:
+//   { mode, from, to, startIndex, endIndex, timeShare, dwellShare }
+// from/to are { name, code?, lat, lng }. timeShare is the part of
+// days_to_deliver spent on the leg; dwellShare is the part of that spent
+// waiting at its start (loading at a hub) before moving.
+//
+// Parcels without route_legs (booked before legs existed) move linearly,
+// exactly as they always did.
+//
+// Air and sea legs are great circles between the hubs. For flights that is
+// about right; a sea leg is only its ports joined up, which can cross land,
+// so the track page labels those lines approximate.
+
+const { getRoute } = require("./_routing");
+const { distanceMeters, greatCircle, pathLength } = require("./_geodesy");
+
+const HUBS = require("./_geo/hubs.json").map(
+  ([mode, code, name, country, lat, lng]) => ({
+    mode,
+    code,
+    name,
+    country,
+    lat,
+    lng,
+  }),
+);
+
+const TRANSPORT_MODES = ["road", "air", "sea"];
+
+// Rough door-to-door planning figures; only their ratios matter, since the
+// whole journey is stretched to days_to_deliver
+const SPEED_KMH = { road: 50, air: 750, sea: 30 };
+const DEPARTURE_DWELL_HOURS = { air: 12, sea: 48 };
+const ARRIVAL_DWELL_HOURS = { air: 6, sea: 24 };
+
+// Road legs shorter than this (origin next to the hub) are left out
+const MIN_ROAD_METERS = 2000;
+
+function nearestHub(mode, point) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const hub of HUBS) {
+    if (hub.mode !== mode) continue;
+    const d = distanceMeters(point, hub);
+    if (d < bestDistance) {
+      best = hub;
+      bestDistance = d;
+    }
+  }
+  return best;
+}
+
+function place({ name, code, lat, lng }) {
+  return code ? { name, code, lat, lng } : { name, lat, lng };
+}
+
+// ─── Planning ─────────────────────────────────────────────────────────────────
+// origin / destination: { lat, lng, name }. Returns { points, legs,
+// distanceMeters }. Falls back to a single road leg when both ends share
+// a hub, e.g. a "sea" booking within one city.
+async function planJourney(origin, destination, mode = "road") {
+  const parts = [];
+
+  if (mode !== "road") {
+    const fromHub = nearestHub(mode, origin);
+    const toHub = nearestHub(mode, destination);
+
+    if (fromHub && toHub && fromHub.code !== toHub.code) {
+      const toHubRoad = await getRoute(
+        origin.lat,
+        origin.lng,
+        fromHub.lat,
+        fromHub.lng,
+      );
+      const fromHubRoad = await getRoute(
+        toHub.lat,
+        toHub.lng,
+        destination.lat,
+        destination.lng,
+      );
+
+      parts.push({
+        mode: "road",
+        from: place(origin),
+        to: place(fromHub),
+        points: toHubRoad.points,
+      });
+      parts.push({
+        mode,
+        from: place(fromHub),
+        to: place(toHub),
+        points: greatCircle(fromHub, toHub, 100),
+        dwellHours: DEPARTURE_DWELL_HOURS[mode],
+      });
+      parts.push({
+        mode: "road",
+        from: place(toHub),
+        to: place(destination),
+        points: fromHubRoad.points,
+        dwellHours: ARRIVAL_DWELL_HOURS[mode],
+      });
+    } else {
+      console.log(`[journey] No ${mode} hub pair for this trip — road only`);
+    }
+  }
+
+  if (!parts.length) {
+    const route = await getRoute(
+      origin.lat,
+      origin.lng,
+      destination.lat,
+      destination.lng,
+    );
+    parts.push({
+      mode: "road",
+      from: place(origin),
+      to: place(destination),
+      points: route.points,
+    });
+  }
+
+  return assemble(
+    parts.filter(
+      (p) =>
+        p.mode !== "road" ||
+        parts.length === 1 ||
+        pathLength(p.points) >= MIN_ROAD_METERS,
+    ),
+  );
+}
+
+// Joins the legs into one path and works out each leg's share of the time
+function assemble(parts) {
+  const points = [];
+  const legs = [];
+  let distance = 0;
+
+  const hours = parts.map((p) => {
+    const meters = pathLength(p.points);
+    distance += meters;
+    return meters / 1000 / SPEED_KMH[p.mode] + (p.dwellHours || 0);
+  });
+  const totalHours = hours.reduce((a, b) => a + b, 0);
+
+  let shareSoFar = 0;
+  parts.forEach((part, i) => {
+    const startIndex = points.length ? points.length - 1 : 0;
+    points.push(...(points.length ? part.points.slice(1) : part.points));
+
+    const last = i === parts.length - 1;
+    const timeShare = last
+      ? Math.max(0, 1 - shareSoFar)
+      : totalHours
+        ? round(hours[i] / totalHours)
+        : 0;
+    shareSoFar += timeShare;
+
+    legs.push({
+      mode: part.mode,
+      from: part.from,
+      to: part.to,
+      startIndex,
+      endIndex: points.length - 1,
+      timeShare: round(timeShare),
+      dwellShare: totalHours ? round((part.dwellHours || 0) / totalHours) : 0,
+    });
+  });
+
+  console.log(
+    `[journey] ✅ ${legs.map((l) => l.mode).join(" → ")}: ${points.length} points, ~${Math.round(distance / 1000)}km`,
+  );
+  return { points, legs, distanceMeters: distance };
+}
+
+function round(n) {
+  return Math.round(n * 10000) / 10000;
+}
+
+// ─── Time ↔ position ──────────────────────────────────────────────────────────
+function parseLegs(json) {
+  if (!json) return null;
+  const legs = JSON.parse(json);
+  return legs.length ? legs : null;
+}
+
+// Route point index for a fraction (0–1) of the journey's time
+function indexAt(legs, totalPoints, fraction) {
+  const f = Math.min(Math.max(fraction, 0), 1);
+  // The legs' timeShares needn't sum to exactly 1, so the end is the end
+  if (f >= 1) return totalPoints - 1;
+  if (!legs)
+    return Math.min(totalPoints - 1, Math.floor(f * (totalPoints - 1)));
+
+  let start = 0;
+  for (let i = 0; i < legs.length; i++) {
+    const leg = legs[i];
+    if (f < start + leg.timeShare || i === legs.length - 1) {
+      const moving = leg.timeShare - leg.dwellShare;
+      const t =
+        moving > 0
+          ? Math.min(Math.max((f - start - leg.dwellShare) / moving, 0), 1)
+          : 1;
+      // Rounded first, so a t of 0.99999… still reaches the leg's end
+      const span = leg.endIndex - leg.startIndex;
+      return leg.startIndex + Math.floor(Math.round(t * span * 1e6) / 1e6);
+    }
+    start += leg.timeShare;
+  }
+  return totalPoints - 1;
+}
+
+// Fraction of the journey's time at which the parcel reaches a point index
+function fractionAt(legs, totalPoints, index) {
+  if (!totalPoints || index == null) return 0;
+  if (!legs) return index / Math.max(totalPoints - 1, 1);
+
+  let start = 0;
+  for (let i = 0; i < legs.length; i++) {
+    const leg = legs[i];
+    if (index < leg.endIndex || i === legs.length - 1) {
+      const span = Math.max(leg.endIndex - leg.startIndex, 1);
+      const t = Math.min(Math.max((index - leg.startIndex) / span, 0), 1);
+      // Sitting at a leg's first point counts as not yet departed
+      return (
+        start +
+        (t > 0 ? leg.dwellShare : 0) +
+        (leg.timeShare - leg.dwellShare) * t
+      );
+    }
+    start += leg.timeShare;
+  }
+  return 1;
+}
+
+// Index of the leg a parcel at this point index is on
+function legAt(legs, index) {
+  if (!legs) return null;
+  const i = legs.findIndex((leg) => index < leg.endIndex);
+  return i === -1 ? legs.length - 1 : i;
+}
+
+// Last 5% of the journey, and on the final (delivery) leg
+function isFinalStretch(legs, totalPoints, index) {
+  if (!legs) return index >= totalPoints * 0.95;
+  const last = legs[legs.length - 1];
+  return (
+    index > last.startIndex && fractionAt(legs, totalPoints, index) >= 0.95
+  );
+}
+
+// ─── Hub milestones ───────────────────────────────────────────────────────────
+// Every hub arrival/departure, in order, with the time fraction it happens
+// at. update-location logs them one by one and counts them in
+// milestones_passed, so each is logged exactly once.
+function milestones(legs) {
+  if (!legs) return [];
+  const out = [];
+  let start = 0;
+
+  legs.forEach((leg, i) => {
+    const prev = legs[i - 1];
+    if (leg.mode !== "road") {
+      if (prev)
+        out.push({
+          fraction: start,
+          type: "arrived_hub",
+          hub: leg.from,
+          description: `Arrived at ${leg.from.name}`,
+        });
+      out.push({
+        fraction: start + leg.dwellShare,
+        type: "departed_hub",
+        hub: leg.from,
+        description:
+          leg.mode === "air"
+            ? `Departed ${leg.from.name} on a cargo flight to ${leg.to.name}`
+            : `Departed ${leg.from.name} by sea freight, bound for ${leg.to.name}`,
+      });
+      out.push({
+        fraction: start + leg.timeShare,
+        type: "arrived_hub",
+        hub: leg.to,
+        description: `Arrived at ${leg.to.name}`,
+      });
+    } else if (prev && prev.mode !== "road") {
+      out.push({
+        fraction: start + leg.dwellShare,
+        type: "departed_hub",
+        hub: leg.from,
+        description: `Cleared ${leg.from.name}, out on the road for delivery`,
+      });
+    }
+    start += leg.timeShare;
+  });
+
+  return out;
+}
+
+// ─── Re-routing ───────────────────────────────────────────────────────────────
+// A new delivery address only changes the final road leg: from where the
+// parcel is now if it is already on that leg, otherwise from the hub the
+// leg starts at. Returns the route point index to re-route from.
+function rerouteFrom(legs, routeProgress) {
+  if (!legs) return routeProgress;
+  return Math.max(routeProgress, legs[legs.length - 1].startIndex);
+}
+
+function retargetLegs(legs, destination) {
+  if (!legs) return null;
+  return legs.map((leg, i) =>
+    i === legs.length - 1 ? { ...leg, to: place(destination) } : leg,
+  );
+}
+
+module.exports = {
+  TRANSPORT_MODES,
+  SPEED_KMH,
+  DEPARTURE_DWELL_HOURS,
+  ARRIVAL_DWELL_HOURS,
+  planJourney,
+  parseLegs,
+  indexAt,
+  fractionAt,
+  legAt,
+  isFinalStretch,
+  milestones,
+  rerouteFrom,
+  retargetLegs,
+};
@@ -0,0 +1,70 @@
+// netlify/functions/_mail.js
+// Outgoing email behind one interface. MAIL_PROVIDER lists the providers to
+// try, in order; the next one is only used when the one before fails or
+// isn't configured:
+//   resend  → Resend's API (needs RESEND_API_KEY)
+//   smtp    → any SMTP server via nodemailer (needs SMTP_HOST)
+//   capture → writes messages to disk for the dev inbox (/dev/mail)
+// Default: "resend,smtp". Providers live in _mail/ and export
+// { name, configured(), send(message) → { id } }.
+//
+// Messages are { to, subject, html, text, headers? }; the sender is
+// MAIL_FROM, or "SwiftPulse Courier" at SMTP_USER.
+
+const PROVIDERS = {
+  resend: require("./_mail/resend"),
+  smtp: require("./_mail/smtp"),
+  capture: require("./_mail/capture"),
+};
+
+function providers() {
+  const names = (process.env.MAIL_PROVIDER || "resend,smtp")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return names.map((name) => {
+    const selected = PROVIDERS[name];
+    if (!selected)
+      throw new Error(
+        `Unknown MAIL_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(", ")}).`,
+      );
+    return selected;
+  });
+}
+
+function sender() {
+  const address = process.env.SMTP_USER || "noreply@localhost";
+  return process.env.MAIL_FROM || `"SwiftPulse Courier" <${address}>`;
+}
+
+// Whether the dev inbox has anything to show
+function capturing() {
+  return providers().includes(PROVIDERS.capture);
+}
+
+// Sends through the first provider that takes the message. Returns
+// { provider, id } (the provider's message id); throws if none did, with
+// every provider's reason.
+async function sendMail(message) {
+  const failures = [];
+  for (const provider of providers()) {
+    if (!provider.configured()) {
+      failures.push(`${provider.name}: not configured`);
+      continue;
+    }
+    try {
+      const { id } = await provider.send({ from: sender(), ...message });
+      if (failures.length)
+        console.log(
+          `[mail] Sent via ${provider.name} after ${failures.join("; ")}`,
+        );
+      return { provider: provider.name, id: id || null };
+    } catch (e) {
+      console.error(`[mail] ${provider.name} failed:`, e.message);
+      failures.push(`${provider.name}: ${e.message}`);
+    }
+  }
+  throw new Error(`No mail provider could send it (${failures.join("; ")})`);
+}
+
+module.exports = { sendMail, capturing, capture: PROVIDERS.capture };
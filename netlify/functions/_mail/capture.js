@@ -0,0 +1,65 @@
+// netlify/functions/_mail/capture.js
+// Local development (MAIL_PROVIDER=capture): nothing leaves the machine.
+// Each message is written as JSON to MAIL_CAPTURE_DIR (default
+// <tmp>/swiftpulse-mail), where the dev inbox (dev-mail.js, /dev/mail)
+// and tests can read it back.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+function directory() {
+  return (
+    process.env.MAIL_CAPTURE_DIR || path.join(os.tmpdir(), "swiftpulse-mail")
+  );
+}
+
+function configured() {
+  return true;
+}
+
+async function send(message) {
+  const dir = directory();
+  await fs.promises.mkdir(dir, { recursive: true });
+  const capturedAt = new Date().toISOString();
+  // Sorts by time in a directory listing
+  const id = `${capturedAt.replace(/[:.]/g, "-")}-${crypto.randomBytes(4).toString("hex")}`;
+  await fs.promises.writeFile(
+    path.join(dir, `${id}.json`),
+    JSON.stringify({ id, capturedAt, ...message }, null, 2),
+  );
+  return { id };
+}
+
+// Newest first
+async function list(limit = Infinity) {
+  let files;
+  try {
+    files = await fs.promises.readdir(directory());
+  } catch (e) {
+    if (e.code === "ENOENT") return [];
+    throw e;
+  }
+  const ids = files
+    .filter((f) => f.endsWith(".json"))
+    .map((f) => f.slice(0, -5))
+    .sort()
+    .reverse()
+    .slice(0, limit);
+  return Promise.all(ids.map(read));
+}
+
+async function read(id) {
+  if (!/^[\w-]+$/.test(id)) return null;
+  try {
+    return JSON.parse(
+      await fs.promises.readFile(path.join(directory(), `${id}.json`), "utf8"),
+    );
+  } catch (e) {
+    if (e.code === "ENOENT") return null;
+    throw e;
+  }
+}
+
+module.exports = { name: "capture", configured, send, list, read };
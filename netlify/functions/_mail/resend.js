@@ -0,0 +1,21 @@
+// netlify/functions/_mail/resend.js
+// Resend's HTTP API (MAIL_PROVIDER=resend, tried first by default).
+// Needs RESEND_API_KEY; without it the provider is skipped.
+
+const { Resend } = require("resend");
+
+let _client = null;
+
+function configured() {
+  return Boolean(process.env.RESEND_API_KEY);
+}
+
+async function send(message) {
+  if (!_client) _client = new Resend(process.env.RESEND_API_KEY);
+  // Resend reports failures in the result rather than throwing
+  const { data, error } = await _client.emails.send(message);
+  if (error) throw new Error(error.message || String(error));
+  return { id: data && data.id };
+}
+
+module.exports = { name: "resend", configured, send };
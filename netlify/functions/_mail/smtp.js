@@ -0,0 +1,35 @@
+// netlify/functions/_mail/smtp.js
+// Any SMTP server through nodemailer (MAIL_PROVIDER=smtp, the fallback by
+// default). Needs SMTP_HOST; SMTP_PORT defaults to 465 (implicit TLS),
+// anything else upgrades with STARTTLS. SMTP_USER / SMTP_PASS if the server
+// wants a login.
+
+const nodemailer = require("nodemailer");
+
+let _transporter = null;
+
+function configured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+function transporter() {
+  if (!_transporter) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 465;
+    _transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return _transporter;
+}
+
+async function send(message) {
+  const info = await transporter().sendMail(message);
+  return { id: info.messageId };
+}
+
+module.exports = { name: "smtp", configured, send };
@@ -0,0 +1,113 @@
+// netlify/functions/_migrate.js
+// Versioned schema migrations for Turso.
+//
+// Each file in _migrations/ exports { id, up: [sql...], down: [sql...] }.
+// To change the schema, add the next numbered file and append it to
+// MIGRATIONS below — never edit a migration that has already shipped.
+// Functions apply pending migrations through initDb() once per cold start;
+// `npm run db:status` / `npm run db:rollback` manage them by hand.
+
+// Listed explicitly (not read from disk) so esbuild bundles every migration
+const MIGRATIONS = [
+  require("./_migrations/0001_initial_schema"),
+  require("./_migrations/0002_operators"),
+  require("./_migrations/0003_parcel_list_indexes"),
+  require("./_migrations/0004_parcel_exceptions"),
+  require("./_migrations/0005_returns"),
+  require("./_migrations/0006_journey_legs"),
+  require("./_migrations/0007_tracking_verification"),
+  require("./_migrations/0008_notifications"),
+  require("./_migrations/0009_email_outbox"),
+  require("./_migrations/0010_subscriptions"),
+  require("./_migrations/0011_sms"),
+  require("./_migrations/0012_verify_attempts"),
+];
+
+async function ensureMigrationsTable(db) {
+  await db.execute(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      id TEXT PRIMARY KEY,
+      applied_at TEXT DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+async function appliedMigrations(db) {
+  await ensureMigrationsTable(db);
+  const result = await db.execute(
+    "SELECT id, applied_at FROM schema_migrations ORDER BY id",
+  );
+  return new Map(result.rows.map((r) => [r.id, r.applied_at]));
+}
+
+// Each migration runs in one write batch (a transaction) together with its
+// schema_migrations row, so a failed migration leaves nothing behind.
+async function migrate(db) {
+  const applied = await appliedMigrations(db);
+  const ran = [];
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.id)) continue;
+
+    console.log(`[migrate] Applying ${migration.id}`);
+    try {
+      await db.batch(
+        [
+          ...migration.up,
+          {
+            sql: "INSERT INTO schema_migrations (id) VALUES (?)",
+            args: [migration.id],
+          },
+        ],
+        "write",
+      );
+      ran.push(migration.id);
+    } catch (e) {
+      // Another cold start may have applied it in the meantime
+      const now = await appliedMigrations(db);
+      if (now.has(migration.id)) continue;
+      throw new Error(`Migration ${migration.id} failed: ${e.message}`);
+    }
+  }
+
+  return ran;
+}
+
+async function status(db) {
+  const applied = await appliedMigrations(db);
+  const known = new Set(MIGRATIONS.map((m) => m.id));
+
+  const rows = MIGRATIONS.map((m) => ({
+    id: m.id,
+    appliedAt: applied.get(m.id) || null,
+  }));
+
+  // Applied in this database but missing from the code (e.g. a newer deploy)
+  for (const [id, appliedAt] of applied) {
+    if (!known.has(id)) rows.push({ id, appliedAt, unknown: true });
+  }
+
+  return rows;
+}
+
+// Reverts the most recent applied migration; returns its id, or null
+async function rollback(db) {
+  const applied = await appliedMigrations(db);
+  const latest = [...MIGRATIONS].reverse().find((m) => applied.has(m.id));
+  if (!latest) return null;
+
+  console.log(`[migrate] Rolling back ${latest.id}`);
+  await db.batch(
+    [
+      ...latest.down,
+      {
+        sql: "DELETE FROM schema_migrations WHERE id = ?",
+        args: [latest.id],
+      },
+    ],
+    "write",
+  );
+  return latest.id;
+}
+
+module.exports = { MIGRATIONS, migrate, status, rollback };
@@ -0,0 +1,52 @@
+// netlify/functions/_migrations/0001_initial_schema.js
+// Parcels and their tracking events — the schema initDb() used to create.
+// IF NOT EXISTS lets databases created before migrations adopt it as-is.
+
+module.exports = {
+  id: "0001_initial_schema",
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS parcels (
+      id TEXT PRIMARY KEY,
+      tracking_code TEXT UNIQUE NOT NULL,
+      sender_name TEXT NOT NULL,
+      sender_email TEXT,
+      sender_address TEXT NOT NULL,
+      receiver_name TEXT NOT NULL,
+      receiver_email TEXT NOT NULL,
+      receiver_address TEXT NOT NULL,
+      parcel_description TEXT NOT NULL,
+      delivery_from_address TEXT NOT NULL,
+      days_to_deliver INTEGER NOT NULL,
+      status TEXT DEFAULT 'pending',
+      current_lat REAL,
+      current_lng REAL,
+      current_location_name TEXT DEFAULT 'Awaiting Pickup',
+      origin_lat REAL,
+      origin_lng REAL,
+      destination_lat REAL,
+      destination_lng REAL,
+      route_points TEXT,
+      route_progress INTEGER DEFAULT 0,
+      created_at TEXT DEFAULT (datetime('now')),
+      estimated_delivery TEXT,
+      last_updated TEXT DEFAULT (datetime('now'))
+    )`,
+    `CREATE TABLE IF NOT EXISTS tracking_events (
+      id TEXT PRIMARY KEY,
+      tracking_code TEXT NOT NULL,
+      event_type TEXT NOT NULL,
+      description TEXT NOT NULL,
+      location_name TEXT,
+      lat REAL,
+      lng REAL,
+      timestamp TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (tracking_code) REFERENCES parcels(tracking_code)
+    )`,
+  ],
+
+  down: [
+    "DROP TABLE IF EXISTS tracking_events",
+    "DROP TABLE IF EXISTS parcels",
+  ],
+};
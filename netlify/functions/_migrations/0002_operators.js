@@ -0,0 +1,53 @@
+// netlify/functions/_migrations/0002_operators.js
+// Operator accounts, login sessions, API keys and the operator action log.
+// Session tokens and API keys are only ever stored as SHA-256 hashes.
+
+module.exports = {
+  id: "0002_operators",
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS operators (
+      id TEXT PRIMARY KEY,
+      email TEXT UNIQUE NOT NULL,
+      name TEXT NOT NULL,
+      password_hash TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      disabled_at TEXT
+    )`,
+    `CREATE TABLE IF NOT EXISTS operator_sessions (
+      id TEXT PRIMARY KEY,
+      operator_id TEXT NOT NULL,
+      token_hash TEXT UNIQUE NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      expires_at TEXT NOT NULL,
+      FOREIGN KEY (operator_id) REFERENCES operators(id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS api_keys (
+      id TEXT PRIMARY KEY,
+      operator_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      last_used_at TEXT,
+      revoked_at TEXT,
+      FOREIGN KEY (operator_id) REFERENCES operators(id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS operator_actions (
+      id TEXT PRIMARY KEY,
+      operator_id TEXT NOT NULL,
+      action TEXT NOT NULL,
+      tracking_code TEXT,
+      details TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      FOREIGN KEY (operator_id) REFERENCES operators(id)
+    )`,
+  ],
+
+  down: [
+    "DROP TABLE IF EXISTS operator_actions",
+    "DROP TABLE IF EXISTS api_keys",
+    "DROP TABLE IF EXISTS operator_sessions",
+    "DROP TABLE IF EXISTS operators",
+  ],
+};
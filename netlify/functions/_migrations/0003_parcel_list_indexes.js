@@ -0,0 +1,20 @@
+// netlify/functions/_migrations/0003_parcel_list_indexes.js
+// Indexes behind the admin parcel list filters and its last_updated sort.
+
+module.exports = {
+  id: "0003_parcel_list_indexes",
+
+  up: [
+    "CREATE INDEX IF NOT EXISTS idx_parcels_last_updated ON parcels(last_updated)",
+    "CREATE INDEX IF NOT EXISTS idx_parcels_status ON parcels(status)",
+    "CREATE INDEX IF NOT EXISTS idx_parcels_created_at ON parcels(created_at)",
+    "CREATE INDEX IF NOT EXISTS idx_tracking_events_code ON tracking_events(tracking_code, timestamp)",
+  ],
+
+  down: [
+    "DROP INDEX IF EXISTS idx_tracking_events_code",
+    "DROP INDEX IF EXISTS idx_parcels_created_at",
+    "DROP INDEX IF EXISTS idx_parcels_status",
+    "DROP INDEX IF EXISTS idx_parcels_last_updated",
+  ],
+};
@@ -0,0 +1,25 @@
+// netlify/functions/_migrations/0004_parcel_exceptions.js
+// Exception statuses (on hold, delayed, customs, returned, lost).
+//   exception_reason → dispatcher's reason, shown on the track page
+//   held_since       → when the current exception started
+//   resume_status    → the status to return to when it is cleared
+//   paused_hours     → total time spent in exceptions, which the scheduler
+//                      subtracts from the parcel's elapsed journey time
+
+module.exports = {
+  id: "0004_parcel_exceptions",
+
+  up: [
+    "ALTER TABLE parcels ADD COLUMN exception_reason TEXT",
+    "ALTER TABLE parcels ADD COLUMN held_since TEXT",
+    "ALTER TABLE parcels ADD COLUMN resume_status TEXT",
+    "ALTER TABLE parcels ADD COLUMN paused_hours REAL DEFAULT 0",
+  ],
+
+  down: [
+    "ALTER TABLE parcels DROP COLUMN paused_hours",
+    "ALTER TABLE parcels DROP COLUMN resume_status",
+    "ALTER TABLE parcels DROP COLUMN held_since",
+    "ALTER TABLE parcels DROP COLUMN exception_reason",
+  ],
+};
@@ -0,0 +1,18 @@
+// netlify/functions/_migrations/0005_returns.js
+// Return-to-sender legs. A return leg is a parcel of its own, linked both ways:
+//   return_of            → on the return leg, the original tracking code
+//   return_tracking_code → on the original, the return leg's tracking code
+
+module.exports = {
+  id: "0005_returns",
+
+  up: [
+    "ALTER TABLE parcels ADD COLUMN return_of TEXT",
+    "ALTER TABLE parcels ADD COLUMN return_tracking_code TEXT",
+  ],
+
+  down: [
+    "ALTER TABLE parcels DROP COLUMN return_tracking_code",
+    "ALTER TABLE parcels DROP COLUMN return_of",
+  ],
+};
@@ -0,0 +1,21 @@
+// netlify/functions/_migrations/0006_journey_legs.js
+// Multi-modal journeys (see _journey.js):
+//   transport_mode    → road | air | sea, as booked
+//   route_legs        → JSON list of legs slicing route_points by mode
+//   milestones_passed → hub arrivals/departures already logged as events
+
+module.exports = {
+  id: "0006_journey_legs",
+
+  up: [
+    "ALTER TABLE parcels ADD COLUMN transport_mode TEXT DEFAULT 'road'",
+    "ALTER TABLE parcels ADD COLUMN route_legs TEXT",
+    "ALTER TABLE parcels ADD COLUMN milestones_passed INTEGER DEFAULT 0",
+  ],
+
+  down: [
+    "ALTER TABLE parcels DROP COLUMN milestones_passed",
+    "ALTER TABLE parcels DROP COLUMN route_legs",
+    "ALTER TABLE parcels DROP COLUMN transport_mode",
+  ],
+};
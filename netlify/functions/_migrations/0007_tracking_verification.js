@@ -0,0 +1,18 @@
+// netlify/functions/_migrations/0007_tracking_verification.js
+// Recipient verification on the public track page (see track-verify.js):
+//   verify_failures     → wrong answers since the last success or lockout
+//   verify_locked_until → no more attempts until then, after too many misses
+
+module.exports = {
+  id: "0007_tracking_verification",
+
+  up: [
+    "ALTER TABLE parcels ADD COLUMN verify_failures INTEGER DEFAULT 0",
+    "ALTER TABLE parcels ADD COLUMN verify_locked_until TEXT",
+  ],
+
+  down: [
+    "ALTER TABLE parcels DROP COLUMN verify_locked_until",
+    "ALTER TABLE parcels DROP COLUMN verify_failures",
+  ],
+};
@@ -0,0 +1,29 @@
+// netlify/functions/_migrations/0008_notifications.js
+// One row per notification email (see _notify.js). dedupe_key is unique, so
+// claiming a row is what stops a status change being announced twice:
+//   dedupe_key → "<tracking code>:<template>[:<which hold>]"
+//   sent_at    → when the provider accepted it; error → why it didn't
+
+module.exports = {
+  id: "0008_notifications",
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS notifications (
+      id TEXT PRIMARY KEY,
+      tracking_code TEXT NOT NULL,
+      template TEXT NOT NULL,
+      dedupe_key TEXT UNIQUE NOT NULL,
+      recipient TEXT NOT NULL,
+      subject TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      sent_at TEXT,
+      error TEXT
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_notifications_tracking_code ON notifications(tracking_code)",
+  ],
+
+  down: [
+    "DROP INDEX IF EXISTS idx_notifications_tracking_code",
+    "DROP TABLE IF EXISTS notifications",
+  ],
+};
@@ -0,0 +1,48 @@
+// netlify/functions/_migrations/0009_email_outbox.js
+// Outgoing email goes through a queue (see _outbox.js):
+//   status           → pending, sending, sent or failed (gave up)
+//   attempts         → sends tried so far
+//   next_attempt_at  → not retried before then (exponential backoff)
+//   provider, provider_message_id → who accepted it, and their id for it
+//   resend_of        → the message an operator re-sent
+// notifications keeps only the dedupe claims; whether the email went out is
+// the outbox's business now.
+
+module.exports = {
+  id: "0009_email_outbox",
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS email_outbox (
+      id TEXT PRIMARY KEY,
+      tracking_code TEXT,
+      template TEXT,
+      recipient TEXT NOT NULL,
+      subject TEXT NOT NULL,
+      html TEXT,
+      text TEXT,
+      headers TEXT,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TEXT DEFAULT (datetime('now')),
+      last_attempt_at TEXT,
+      last_error TEXT,
+      provider TEXT,
+      provider_message_id TEXT,
+      resend_of TEXT,
+      created_at TEXT DEFAULT (datetime('now')),
+      sent_at TEXT
+    )`,
+    "CREATE INDEX IF NOT EXISTS idx_email_outbox_due ON email_outbox(status, next_attempt_at)",
+    "CREATE INDEX IF NOT EXISTS idx_email_outbox_tracking_code ON email_outbox(tracking_code, created_at)",
+    "ALTER TABLE notifications DROP COLUMN sent_at",
+    "ALTER TABLE notifications DROP COLUMN error",
+  ],
+
+  down: [
+    "ALTER TABLE notifications ADD COLUMN error TEXT",
+    "ALTER TABLE notifications ADD COLUMN sent_at TEXT",
+    "DROP INDEX IF EXISTS idx_email_outbox_tracking_code",
+    "DROP INDEX IF EXISTS idx_email_outbox_due",
+    "DROP TABLE IF EXISTS email_outbox",
+  ],
+};
@@ -0,0 +1,31 @@
+// netlify/functions/_migrations/0010_subscriptions.js
+// People other than the receiver following a parcel by email (see
+// _subscriptions.js):
+//   events           → comma-separated notification types they want
+//   confirmed_at     → when they clicked the link in the confirmation email
+//   unsubscribed_at  → set by the unsubscribe link; subscribing again
+//                      clears it
+// parcels.receiver_unsubscribed_at is the receiver's own opt-out.
+
+module.exports = {
+  id: "0010_subscriptions",
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS subscriptions (
+      id TEXT PRIMARY KEY,
+      tracking_code TEXT NOT NULL,
+      email TEXT NOT NULL,
+      events TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      confirmed_at TEXT,
+      unsubscribed_at TEXT,
+      UNIQUE (tracking_code, email)
+    )`,
+    "ALTER TABLE parcels ADD COLUMN receiver_unsubscribed_at TEXT",
+  ],
+
+  down: [
+    "ALTER TABLE parcels DROP COLUMN receiver_unsubscribed_at",
+    "DROP TABLE IF EXISTS subscriptions",
+  ],
+};
@@ -0,0 +1,23 @@
+// netlify/functions/_migrations/0011_sms.js
+// Text message (SMS) updates for the receiver (see _sms.js):
+//   parcels.receiver_phone   → optional, in international format (+234…)
+//   parcels.sms_opt_out_at   → set when texts are stopped for the parcel
+//   email_outbox.channel     → "email" or "sms"; texts queue, retry and
+//                              show in the history like email. An SMS keeps
+//                              its message in text, and in subject too.
+
+module.exports = {
+  id: "0011_sms",
+
+  up: [
+    "ALTER TABLE parcels ADD COLUMN receiver_phone TEXT",
+    "ALTER TABLE parcels ADD COLUMN sms_opt_out_at TEXT",
+    "ALTER TABLE email_outbox ADD COLUMN channel TEXT NOT NULL DEFAULT 'email'",
+  ],
+
+  down: [
+    "ALTER TABLE email_outbox DROP COLUMN channel",
+    "ALTER TABLE parcels DROP COLUMN sms_opt_out_at",
+    "ALTER TABLE parcels DROP COLUMN receiver_phone",
+  ],
+};
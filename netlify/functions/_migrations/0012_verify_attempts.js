@@ -0,0 +1,31 @@
+// netlify/functions/_migrations/0012_verify_attempts.js
+// Recipient verification lockouts per client instead of per parcel (see
+// track-verify.js), so guessing from one client can't lock the receiver
+// out:
+//   verify_attempts.client       → hash of the client's IP address
+//   verify_attempts.failures     → wrong answers since the last lockout
+//   verify_attempts.locked_until → no more attempts from it until then
+// parcels.verify_failures / verify_locked_until (0007) go.
+
+module.exports = {
+  id: "0012_verify_attempts",
+
+  up: [
+    `CREATE TABLE IF NOT EXISTS verify_attempts (
+      client TEXT NOT NULL,
+      tracking_code TEXT NOT NULL,
+      failures INTEGER NOT NULL DEFAULT 0,
+      locked_until TEXT,
+      updated_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (client, tracking_code)
+    )`,
+    "ALTER TABLE parcels DROP COLUMN verify_locked_until",
+    "ALTER TABLE parcels DROP COLUMN verify_failures",
+  ],
+
+  down: [
+    "ALTER TABLE parcels ADD COLUMN verify_failures INTEGER DEFAULT 0",
+    "ALTER TABLE parcels ADD COLUMN verify_locked_until TEXT",
+    "DROP TABLE IF EXISTS verify_attempts",
+  ],
+};
@@ -0,0 +1,203 @@
+// netlify/functions/_notify.js
+// Emails the receiver, and anyone subscribed to that kind of update (see
+// _subscriptions.js), when a parcel's status changes:
+//   pending            → shipment_created   (create-parcel)
+//   in_transit         → in_transit         (update-location)
+//   out_for_delivery   → out_for_delivery   (update-location)
+//   delivered          → delivered          (update-location)
+//   on hold, delayed…  → exception          (admin-parcels)
+//   hold cleared       → resumed            (admin-parcels, notifyResumed)
+//   returning          → returning          (admin-parcels return-to-sender)
+//   returned           → returned           (update-location, once the
+//                                            return leg arrives)
+//
+// Each notification is claimed in the notifications table, under a unique
+// dedupe_key, so a status is announced at most once per parcel however
+// often the scheduler sees it: clearing a hold doesn't re-announce "in
+// transit". Every new hold (or switch to another exception status) is
+// announced on its own. The claim is written in the same batch that queues
+// the messages in the outbox (see _outbox.js), which retries them until
+// they go out; if that batch fails, neither is kept and the failure is
+// logged, since nothing calls notifyStatus for that status again.
+//
+// Return legs (see _returns.js) aren't announced; their parcel's
+// "returning" and "returned" are. Subscribers get those and "resumed" as
+// an exception. Every
+// email carries its recipient's own unsubscribe link.
+//
+// A receiver with a phone number also gets a text (see _texts.js) for each
+// of these, while SMS_PROVIDER is set and texts aren't stopped for the
+// parcel (parcels.sms_opt_out_at).
+
+const { v4: uuidv4 } = require("uuid");
+const { findParcel } = require("./_parcels");
+const { enqueueMessages } = require("./_outbox");
+const { isException } = require("./_status");
+const { renderEmail, emailContext } = require("./_templates");
+const { hasText, renderText } = require("./_texts");
+const { smsEnabled } = require("./_sms");
+const { coarsePlace } = require("./_privacy");
+const {
+  RECEIVER,
+  recipientsFor,
+  unsubscribeUrl,
+  unsubscribeHeaders,
+} = require("./_subscriptions");
+
+const STATUS_TEMPLATES = {
+  pending: "shipment_created",
+  in_transit: "in_transit",
+  out_for_delivery: "out_for_delivery",
+  delivered: "delivered",
+  returning: "returning",
+  returned: "returned",
+};
+
+// The subscription type (EVENT_TYPES) a template goes out under, where it
+// isn't the template itself
+const SUBSCRIBER_EVENTS = {
+  resumed: "exception",
+  returning: "exception",
+  returned: "exception",
+};
+
+// ─── Notifications ────────────────────────────────────────────────────────────
+// Which email the parcel's current status calls for: { template, key }, or
+// null if none does
+function notificationFor(parcel) {
+  const code = parcel.tracking_code;
+  // "returned" counts as an exception, but it's final and has its own
+  const template = STATUS_TEMPLATES[parcel.status];
+  if (template) return { template, key: `${code}:${template}` };
+  if (isException(parcel.status)) {
+    const hold = parcel.held_since ? `:${parcel.held_since}` : "";
+    return {
+      template: "exception",
+      key: `${code}:exception:${parcel.status}${hold}`,
+    };
+  }
+  return null;
+}
+
+// The notifications row; fails on the dedupe_key if it was claimed before
+function claim(parcel, template, key, messages) {
+  return {
+    sql: `INSERT INTO notifications
+            (id, tracking_code, template, dedupe_key, recipient, subject)
+          VALUES (?, ?, ?, ?, ?, ?)`,
+    args: [
+      uuidv4(),
+      parcel.tracking_code,
+      template,
+      key,
+      messages.map((m) => m.to).join(", "),
+      messages[0].subject || messages[0].text,
+    ],
+  };
+}
+
+function isClaimed(e) {
+  const message = `${e?.message} ${e?.cause?.message}`;
+  return /UNIQUE constraint failed: notifications\.dedupe_key/.test(message);
+}
+
+// One email per recipient, each with their own unsubscribe link.
+// Subscribers see places as the public track page does.
+function emailsFor(parcel, template, recipients) {
+  return recipients.map((recipient) => {
+    const unsubscribe = unsubscribeUrl(parcel.tracking_code, recipient.who);
+    const subscriber = recipient.who !== RECEIVER;
+    const email = renderEmail(
+      template,
+      emailContext(parcel, {
+        recipientName: recipient.name,
+        unsubscribeUrl: unsubscribe,
+        ...(subscriber && {
+          subscriber,
+          currentLocation: coarsePlace(parcel.current_location_name),
+        }),
+      }),
+    );
+    return {
+      to: recipient.email,
+      ...email,
+      headers: unsubscribeHeaders(unsubscribe),
+    };
+  });
+}
+
+// The receiver's text, or null if they don't get one
+function textFor(parcel, template) {
+  if (!parcel.receiver_phone || parcel.sms_opt_out_at) return null;
+  if (!smsEnabled() || !hasText(template)) return null;
+  return {
+    channel: "sms",
+    to: parcel.receiver_phone,
+    text: renderText(template, emailContext(parcel)),
+  };
+}
+
+// Queues the email and texts dueFor(parcel) names, unless that was done
+// before. Never throws: a notification must not fail the status change
+// that caused it. Returns true if anything was queued.
+async function notify(db, trackingCode, dueFor) {
+  try {
+    const parcel = await findParcel(db, trackingCode);
+    if (!parcel || parcel.return_of) return false;
+
+    const due = dueFor(parcel);
+    if (!due) return false;
+
+    const recipients = await recipientsFor(
+      db,
+      parcel,
+      SUBSCRIBER_EVENTS[due.template] || due.template,
+    );
+    const emails = emailsFor(parcel, due.template, recipients);
+    const text = textFor(parcel, due.template);
+    const messages = text ? [...emails, text] : emails;
+    if (!messages.length) return false;
+
+    try {
+      await enqueueMessages(
+        db,
+        messages,
+        { trackingCode, template: due.template },
+        [claim(parcel, due.template, due.key, messages)],
+      );
+    } catch (e) {
+      if (isClaimed(e)) return false;
+      throw e;
+    }
+    console.log(
+      `[notify] ${trackingCode}: ${due.template} queued for ${emails.length} recipient(s)${text ? " and by text" : ""}`,
+    );
+    return true;
+  } catch (e) {
+    console.error(
+      `[notify] ${trackingCode}: nothing queued (non-fatal):`,
+      e.message,
+    );
+    return false;
+  }
+}
+
+// About the parcel's current status
+function notifyStatus(db, trackingCode) {
+  return notify(db, trackingCode, notificationFor);
+}
+
+// After an exception is cleared: once per hold, keyed by when it started,
+// since the status it resumes was announced before
+function notifyResumed(db, trackingCode, heldSince) {
+  return notify(db, trackingCode, (parcel) =>
+    isException(parcel.status)
+      ? null
+      : {
+          template: "resumed",
+          key: `${trackingCode}:resumed:${heldSince || ""}`,
+        },
+  );
+}
+
+module.exports = { notifyStatus, notifyResumed };
@@ -0,0 +1,218 @@
+// netlify/functions/_outbox.js
+// The message queue. Nothing sends email inline: notifications are enqueued
+// here (email_outbox) and the send-emails worker delivers what is due
+// through _mail.js every few minutes — or through _sms.js, for messages on
+// the "sms" channel. Mail someone is waiting on (a
+// subscription confirmation) gets a first attempt straight away with
+// deliverNow; if that fails, the worker retries it like any other.
+//
+// A failed send is retried with exponential backoff — 5 min, 10, 20, 40…
+// after each failure — and marked failed for good after MAX_ATTEMPTS.
+// A message is claimed (status 'sending') before it is sent, so two
+// overlapping runs can't both send it; a claim left behind by a run that
+// died is given up on after STALE_MINUTES and the message retried.
+
+const { v4: uuidv4 } = require("uuid");
+const { sendMail } = require("./_mail");
+const { sendSms } = require("./_sms");
+
+const MAX_ATTEMPTS = 6;
+const BACKOFF_MINUTES = 5;
+const STALE_MINUTES = 15;
+const BATCH_SIZE = 50;
+
+// ─── Queue ────────────────────────────────────────────────────────────────────
+// messages: [{ to, subject, html, text, headers? }] for email, or
+// [{ channel: "sms", to, text }], queued together or not at all; returns
+// their outbox ids. Statements in `before` run first, in the same batch.
+async function enqueueMessages(
+  db,
+  messages,
+  { trackingCode, template } = {},
+  before = [],
+) {
+  const ids = messages.map(() => uuidv4());
+  await db.batch(
+    [
+      ...before,
+      ...messages.map((message, i) => ({
+        sql: `INSERT INTO email_outbox
+              (id, channel, tracking_code, template, recipient, subject, html,
+               text, headers)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        args: [
+          ids[i],
+          message.channel || "email",
+          trackingCode || null,
+          template || null,
+          message.to,
+          message.subject || message.text,
+          message.html || null,
+          message.text || null,
+          message.headers ? JSON.stringify(message.headers) : null,
+        ],
+      })),
+    ],
+    "write",
+  );
+  return ids;
+}
+
+async function enqueueEmail(db, message, meta) {
+  const [id] = await enqueueMessages(db, [message], meta);
+  return id;
+}
+
+// Queues a sent or failed message again, as a new message. Returns its id,
+// or null if there is no such message or it is still on its way.
+async function resendEmail(db, id) {
+  const result = await db.execute({
+    sql: "SELECT * FROM email_outbox WHERE id = ?",
+    args: [id],
+  });
+  const original = result.rows[0];
+  if (!original || !["sent", "failed"].includes(original.status)) return null;
+
+  const copy = uuidv4();
+  await db.execute({
+    sql: `INSERT INTO email_outbox
+            (id, channel, tracking_code, template, recipient, subject, html,
+             text, headers, resend_of)
+          SELECT ?, channel, tracking_code, template, recipient, subject, html,
+                 text, headers, id
+          FROM email_outbox WHERE id = ?`,
+    args: [copy, id],
+  });
+  return copy;
+}
+
+// A parcel's email and texts, newest first, without the email bodies
+async function emailHistory(db, trackingCode) {
+  const result = await db.execute({
+    sql: `SELECT id, channel, template, recipient, subject, status, attempts,
+                 next_attempt_at, last_attempt_at, last_error, provider,
+                 provider_message_id, resend_of, created_at, sent_at
+          FROM email_outbox
+          WHERE tracking_code = ?
+          ORDER BY created_at DESC, rowid DESC`,
+    args: [trackingCode],
+  });
+  return result.rows.map((r) => ({
+    id: r.id,
+    channel: r.channel,
+    template: r.template,
+    recipient: r.recipient,
+    subject: r.subject,
+    status: r.status,
+    attempts: r.attempts,
+    nextAttemptAt: r.status === "pending" ? r.next_attempt_at : null,
+    lastAttemptAt: r.last_attempt_at,
+    lastError: r.last_error,
+    provider: r.provider,
+    providerMessageId: r.provider_message_id,
+    resendOf: r.resend_of,
+    createdAt: r.created_at,
+    sentAt: r.sent_at,
+  }));
+}
+
+// ─── Delivery ─────────────────────────────────────────────────────────────────
+function backoffMinutes(attempts) {
+  return BACKOFF_MINUTES * 2 ** (attempts - 1);
+}
+
+// true if this run got the message
+async function claim(db, row) {
+  const result = await db.execute({
+    sql: `UPDATE email_outbox
+          SET status = 'sending', attempts = attempts + 1,
+              last_attempt_at = datetime('now')
+          WHERE id = ? AND status = ? AND attempts = ?`,
+    args: [row.id, row.status, row.attempts],
+  });
+  return result.rowsAffected > 0;
+}
+
+async function deliver(db, row) {
+  if (!(await claim(db, row))) return null;
+  const attempts = row.attempts + 1;
+
+  try {
+    const { provider, id } =
+      row.channel === "sms"
+        ? await sendSms({ to: row.recipient, text: row.text })
+        : await sendMail({
+            to: row.recipient,
+            subject: row.subject,
+            html: row.html || undefined,
+            text: row.text || undefined,
+            headers: row.headers ? JSON.parse(row.headers) : undefined,
+          });
+    await db.execute({
+      sql: `UPDATE email_outbox
+            SET status = 'sent', provider = ?, provider_message_id = ?,
+                last_error = NULL, sent_at = datetime('now')
+            WHERE id = ?`,
+      args: [provider, id, row.id],
+    });
+    return "sent";
+  } catch (e) {
+    const gaveUp = attempts >= MAX_ATTEMPTS;
+    await db.execute({
+      sql: `UPDATE email_outbox
+            SET status = ?, last_error = ?,
+                next_attempt_at = datetime('now', ?)
+            WHERE id = ?`,
+      args: [
+        gaveUp ? "failed" : "pending",
+        e.message,
+        `+${backoffMinutes(attempts)} minutes`,
+        row.id,
+      ],
+    });
+    console.error(
+      `[outbox] ${row.id} to ${row.recipient} failed (attempt ${attempts}/${MAX_ATTEMPTS}${gaveUp ? ", giving up" : ""}):`,
+      e.message,
+    );
+    return gaveUp ? "failed" : "retrying";
+  }
+}
+
+// Sends what is due, oldest first. Returns { sent, retrying, failed }.
+async function deliverDue(db, limit = BATCH_SIZE) {
+  const result = await db.execute({
+    sql: `SELECT * FROM email_outbox
+          WHERE (status = 'pending' AND next_attempt_at <= datetime('now'))
+             OR (status = 'sending' AND last_attempt_at <= datetime('now', ?))
+          ORDER BY next_attempt_at, created_at
+          LIMIT ?`,
+    args: [`-${STALE_MINUTES} minutes`, limit],
+  });
+
+  const counts = { sent: 0, retrying: 0, failed: 0 };
+  for (const row of result.rows) {
+    const outcome = await deliver(db, row);
+    if (outcome) counts[outcome]++;
+  }
+  return counts;
+}
+
+// Tries one queued message now. Returns "sent", "retrying" or "failed",
+// or null if it wasn't waiting to be sent.
+async function deliverNow(db, id) {
+  const result = await db.execute({
+    sql: "SELECT * FROM email_outbox WHERE id = ? AND status = 'pending'",
+    args: [id],
+  });
+  return result.rows[0] ? deliver(db, result.rows[0]) : null;
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  enqueueEmail,
+  enqueueMessages,
+  resendEmail,
+  emailHistory,
+  deliverDue,
+  deliverNow,
+};
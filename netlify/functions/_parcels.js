@@ -0,0 +1,100 @@
+// netlify/functions/_parcels.js
+// Parcel helpers shared by the tracking and admin functions.
+
+const { v4: uuidv4 } = require("uuid");
+const { fractionAt } = require("./_journey");
+
+// Percentage of the journey covered, from the point index the scheduler has
+// reached (route_progress) and the number of stored route points. With
+// route_legs it is the share of travel time, so a long flight doesn't
+// dwarf the road legs either side of it.
+function progressPercent(routeProgress, totalPoints, legs = null) {
+  if (!totalPoints || routeProgress == null) return 0;
+  return Math.round(fractionAt(legs, totalPoints, routeProgress) * 100);
+}
+
+async function findParcel(db, trackingCode) {
+  const result = await db.execute({
+    sql: "SELECT * FROM parcels WHERE tracking_code = ?",
+    args: [trackingCode],
+  });
+  return result.rows[0] || null;
+}
+
+async function recordEvent(db, trackingCode, type, description, location) {
+  const { name = null, lat = null, lng = null } = location || {};
+  await db.execute({
+    sql: `INSERT INTO tracking_events
+            (id, tracking_code, event_type, description, location_name, lat, lng)
+          VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    args: [uuidv4(), trackingCode, type, description, name, lat, lng],
+  });
+}
+
+// One page of tracking events for one or more codes (a parcel and its
+// return leg), newest first. Pass the previous page's nextCursor as
+// `before` for the next one; nextCursor is null on the last page.
+// Without a limit, returns everything.
+async function listEvents(db, codes, { before = null, limit = null } = {}) {
+  const result = await db.execute({
+    sql: `SELECT rowid AS cursor, * FROM tracking_events
+          WHERE tracking_code IN (${codes.map(() => "?").join(", ")})
+            ${before ? "AND rowid < ?" : ""}
+          ORDER BY rowid DESC
+          ${limit ? "LIMIT ?" : ""}`,
+    args: [
+      ...codes,
+      ...(before ? [before] : []),
+      // One extra row says whether there is another page
+      ...(limit ? [limit + 1] : []),
+    ],
+  });
+
+  const rows = limit ? result.rows.slice(0, limit) : result.rows;
+  const more = limit && result.rows.length > limit;
+  return {
+    events: rows.map(({ cursor, ...ev }) => ev),
+    nextCursor: more ? rows[rows.length - 1].cursor : null,
+  };
+}
+
+// Resamples a polyline to exactly `count` points, evenly spaced by index
+function resamplePoints(points, count) {
+  if (count <= 1) return [points[0]];
+  const out = [];
+  for (let i = 0; i < count; i++) {
+    const pos = (i / (count - 1)) * (points.length - 1);
+    const lo = Math.floor(pos);
+    const hi = Math.min(lo + 1, points.length - 1);
+    const t = pos - lo;
+    // Take the short way across ±180° rather than back round the globe
+    let dLng = points[hi].lng - points[lo].lng;
+    if (dLng > 180) dLng -= 360;
+    else if (dLng < -180) dLng += 360;
+    const lng = points[lo].lng + dLng * t;
+    out.push({
+      lat: points[lo].lat + (points[hi].lat - points[lo].lat) * t,
+      lng: lng > 180 ? lng - 360 : lng < -180 ? lng + 360 : lng,
+    });
+  }
+  return out;
+}
+
+// Replaces everything after the point a parcel has reached with a new route
+// that starts there. The remaining leg is resampled to the same number of
+// points it replaces, so update-location's time → point index mapping (and
+// route_progress itself) stays valid.
+function spliceRoute(routePoints, routeProgress, newLeg) {
+  const travelled = routePoints.slice(0, routeProgress + 1);
+  const remaining = Math.max(routePoints.length - routeProgress, 2);
+  return travelled.concat(resamplePoints(newLeg, remaining).slice(1));
+}
+
+module.exports = {
+  progressPercent,
+  findParcel,
+  recordEvent,
+  listEvents,
+  resamplePoints,
+  spliceRoute,
+};
@@ -0,0 +1,234 @@
+// netlify/functions/_privacy.js
+// What a tracking code alone is allowed to show.
+//
+//   public   → status, progress, ETA, roughly city-level places, and
+//              coordinates rounded to COARSE_DECIMALS (about a kilometre)
+//   detailed → everything: names, full addresses, the parcel description,
+//              exact positions and event text as written
+//
+// The detailed tier needs a token from POST /api/track/:code/verify
+// (track-verify.js), sent back as an X-Tracking-Token header — or, for
+// EventSource, which can't set headers, as ?token=.
+
+const { verifyToken } = require("./_tokens");
+
+const COARSE_DECIMALS = 2;
+const DETAILS_TOKEN_PURPOSE = "tracking-details";
+const DETAILS_TOKEN_TTL = 15 * 60;
+
+// ─── Verification ─────────────────────────────────────────────────────────────
+function requestToken(event) {
+  const headers = event.headers || {};
+  return (
+    headers["x-tracking-token"] || event.queryStringParameters?.token || null
+  );
+}
+
+function isVerified(event, trackingCode) {
+  const token = requestToken(event);
+  return Boolean(
+    token && verifyToken(token, DETAILS_TOKEN_PURPOSE, trackingCode),
+  );
+}
+
+function normalise(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]/gi, "")
+    .toUpperCase();
+}
+
+// Postcodes as they end an address: UK, Canadian, and plain 4–6 digit
+// codes (optionally ZIP+4). Anchored, so a house number isn't taken for one.
+const POSTCODE_PATTERNS = [
+  /\b([A-Z]{1,2}\d[A-Z\d]?\s*\d[A-Z]{2})$/i,
+  /\b([A-Z]\d[A-Z]\s?\d[A-Z]\d)$/i,
+  /\b(\d{4,6}(?:-\d{4})?)$/,
+];
+
+// The postcode from the last part of the address that has digits in it
+// ("…, Abuja 900211", "…, London SW1A 1AA, United Kingdom"), or null
+function postcodeOf(address) {
+  const part = String(address || "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter((p) => /\d/.test(p))
+    .pop();
+  if (!part) return null;
+  for (const pattern of POSTCODE_PATTERNS) {
+    const m = pattern.exec(part);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+// The receiver's surname (last word of their name) or the postcode their
+// address ends with, ignoring case, spaces and punctuation
+function matchesRecipient(parcel, answer) {
+  const given = normalise(answer);
+  if (given.length < 2) return false;
+
+  const words = String(parcel.receiver_name || "")
+    .trim()
+    .split(/\s+/);
+  if (given === normalise(words[words.length - 1])) return true;
+
+  const postcode = postcodeOf(parcel.receiver_address);
+  return Boolean(postcode) && normalise(postcode) === given;
+}
+
+// ─── Coarsening ───────────────────────────────────────────────────────────────
+function coarse(value) {
+  if (value == null) return value;
+  const f = 10 ** COARSE_DECIMALS;
+  return Math.round(value * f) / f;
+}
+
+function coarsePoints(points) {
+  return (
+    points && points.map((p) => ({ lat: coarse(p.lat), lng: coarse(p.lng) }))
+  );
+}
+
+// Comma-separated parts with house numbers and postcodes taken out
+function placeParts(name) {
+  return String(name)
+    .split(",")
+    .map((part) =>
+      part
+        .replace(/\S*\d\S*/g, "")
+        .replace(/\s+/g, " ")
+        .trim(),
+    )
+    .filter(Boolean);
+}
+
+// A geocoder's place name, e.g. "12 Allen Ave, Ikeja, Lagos, Nigeria" →
+// "Ikeja, Lagos, Nigeria". Short names ("Lagos, Nigeria", "In transit")
+// are already coarse.
+function coarsePlace(name) {
+  if (!name) return name;
+  const parts = placeParts(name);
+  if (parts.length < 3) return parts.join(", ") || null;
+  return parts.slice(1).slice(-3).join(", ");
+}
+
+// An address as typed at booking: the first line is the street, so only
+// what follows it is kept, e.g. "5 Main St, Abuja 900211" → "Abuja"
+function coarseAddress(address) {
+  if (!address) return address;
+  const parts = placeParts(address);
+  return (parts.length > 1 ? parts.slice(1) : parts).slice(-2).join(", ");
+}
+
+// Event text names people and places; swap in the public versions. An
+// event logged at an address (pickup, say) is coarsened as one.
+function publicEvent(ev, parcel) {
+  const addresses = [
+    parcel.receiver_address,
+    parcel.sender_address,
+    parcel.delivery_from_address,
+  ];
+  const place = addresses.includes(ev.location_name)
+    ? coarseAddress(ev.location_name)
+    : coarsePlace(ev.location_name);
+
+  const swaps = [
+    [parcel.receiver_name, "the recipient"],
+    [parcel.sender_name, "the sender"],
+    [parcel.receiver_address, coarseAddress(parcel.receiver_address)],
+    [parcel.sender_address, coarseAddress(parcel.sender_address)],
+    [parcel.delivery_from_address, coarseAddress(parcel.delivery_from_address)],
+    [ev.location_name, place],
+  ].filter(([from]) => from);
+
+  let description = ev.description || "";
+  for (const [from, to] of swaps)
+    description = description.split(from).join(to);
+
+  return {
+    ...ev,
+    description,
+    location_name: place,
+    lat: coarse(ev.lat),
+    lng: coarse(ev.lng),
+  };
+}
+
+function publicLeg(leg) {
+  const end = (place) =>
+    place.code
+      ? place
+      : {
+          name: coarsePlace(place.name),
+          lat: coarse(place.lat),
+          lng: coarse(place.lng),
+        };
+  return {
+    ...leg,
+    from: end(leg.from),
+    to: end(leg.to),
+    routeSegments: leg.routeSegments.map(coarsePoints),
+  };
+}
+
+// ─── Tiers ────────────────────────────────────────────────────────────────────
+// Takes track-parcel's full response (plus the parcel rows it came from)
+// and returns the public tier of it
+function publicTracking(data, parcel, returnParcel) {
+  const {
+    senderName,
+    senderAddress,
+    receiverName,
+    receiverAddress,
+    parcelDescription,
+    textUpdates,
+    ...rest
+  } = data.parcel;
+
+  const returnLeg = data.returnLeg && {
+    ...data.returnLeg,
+    currentLat: coarse(data.returnLeg.currentLat),
+    currentLng: coarse(data.returnLeg.currentLng),
+    currentLocationName: coarsePlace(data.returnLeg.currentLocationName),
+    destinationLat: coarse(data.returnLeg.destinationLat),
+    destinationLng: coarse(data.returnLeg.destinationLng),
+    routePoints: coarsePoints(data.returnLeg.routePoints),
+    routeSegments: data.returnLeg.routeSegments.map(coarsePoints),
+    legs: data.returnLeg.legs && data.returnLeg.legs.map(publicLeg),
+    events: data.returnLeg.events.map((ev) => publicEvent(ev, returnParcel)),
+  };
+
+  return {
+    ...data,
+    detailed: false,
+    parcel: {
+      ...rest,
+      currentLat: coarse(rest.currentLat),
+      currentLng: coarse(rest.currentLng),
+      currentLocationName: coarsePlace(rest.currentLocationName),
+      originLat: coarse(rest.originLat),
+      originLng: coarse(rest.originLng),
+      destinationLat: coarse(rest.destinationLat),
+      destinationLng: coarse(rest.destinationLng),
+    },
+    routePoints: coarsePoints(data.routePoints),
+    routeSegments: data.routeSegments.map(coarsePoints),
+    legs: data.legs && data.legs.map(publicLeg),
+    events: data.events.map((ev) => publicEvent(ev, parcel)),
+    returnLeg,
+  };
+}
+
+module.exports = {
+  DETAILS_TOKEN_PURPOSE,
+  DETAILS_TOKEN_TTL,
+  isVerified,
+  matchesRecipient,
+  coarse,
+  coarsePlace,
+  coarseAddress,
+  publicEvent,
+  publicTracking,
+};
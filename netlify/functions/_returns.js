@@ -0,0 +1,165 @@
+// netlify/functions/_returns.js
+// Return-to-sender for parcels already in transit.
+//
+// The way back is a parcel row of its own (the "return leg"): it gets its
+// own tracking code, route and events, and update-location advances it like
+// any other parcel. The original is parked as 'returning' and linked to it,
+// so the original tracking code keeps working and shows both legs. When the
+// return leg is delivered, the original becomes 'returned'.
+
+const { v4: uuidv4 } = require("uuid");
+const { recordEvent } = require("./_parcels");
+const { prefixes, parseTrackingCode, withUniqueCode } = require("./_codes");
+const { planJourney, parseLegs, fractionAt } = require("./_journey");
+const { underlyingStatus } = require("./_status");
+
+const RETURNABLE = ["in_transit", "out_for_delivery"];
+
+// Returns { returnCode } on success, or { error }
+async function returnToSender(db, parcel, reason) {
+  if (parcel.return_of)
+    return { error: "A return leg cannot itself be returned" };
+  if (parcel.return_tracking_code)
+    return { error: `Already returning as ${parcel.return_tracking_code}` };
+  if (!RETURNABLE.includes(underlyingStatus(parcel)))
+    return { error: "Only parcels in transit can be returned to sender" };
+  if (parcel.current_lat == null || parcel.origin_lat == null)
+    return { error: "Parcel has no known position to return from" };
+
+  // From where it is now back to the original pickup point, by the same
+  // kind of transport it was booked on
+  const mode = parcel.transport_mode || "road";
+  const journey = await planJourney(
+    {
+      name: parcel.current_location_name,
+      lat: parcel.current_lat,
+      lng: parcel.current_lng,
+    },
+    {
+      name: parcel.delivery_from_address,
+      lat: parcel.origin_lat,
+      lng: parcel.origin_lng,
+    },
+    mode,
+  );
+  if (!journey) return { error: "Could not plan the return route" };
+
+  // The way back takes about as long as the share of the trip already done
+  const totalPoints = JSON.parse(parcel.route_points || "[]").length;
+  const fraction =
+    totalPoints > 1
+      ? fractionAt(
+          parseLegs(parcel.route_legs),
+          totalPoints,
+          parcel.route_progress,
+        )
+      : 1;
+  const days = Math.max(1, Math.ceil(parcel.days_to_deliver * fraction));
+  const estimatedDelivery = new Date();
+  estimatedDelivery.setDate(estimatedDelivery.getDate() + days);
+
+  // Same prefix as the original while that format is still configured
+  const prefix = parseTrackingCode(parcel.tracking_code)?.prefix;
+  const write = (returnCode) =>
+    db.batch(
+      [
+        {
+          sql: `INSERT INTO parcels
+                (id, tracking_code, sender_name, sender_email, sender_address,
+                 receiver_name, receiver_email, receiver_address, parcel_description,
+                 delivery_from_address, days_to_deliver, status,
+                 current_lat, current_lng, current_location_name,
+                 origin_lat, origin_lng, destination_lat, destination_lng,
+                 route_points, route_progress, estimated_delivery, return_of,
+                 transport_mode, route_legs)
+              VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+          args: [
+            uuidv4(),
+            returnCode,
+            parcel.receiver_name,
+            parcel.receiver_email,
+            parcel.receiver_address,
+            parcel.sender_name,
+            parcel.sender_email || "",
+            parcel.delivery_from_address,
+            parcel.parcel_description,
+            parcel.current_location_name,
+            days,
+            "in_transit",
+            parcel.current_lat,
+            parcel.current_lng,
+            parcel.current_location_name,
+            parcel.current_lat,
+            parcel.current_lng,
+            parcel.origin_lat,
+            parcel.origin_lng,
+            JSON.stringify(journey.points),
+            0,
+            estimatedDelivery.toISOString(),
+            parcel.tracking_code,
+            mode,
+            JSON.stringify(journey.legs),
+          ],
+        },
+        {
+          sql: `UPDATE parcels
+              SET status = 'returning', return_tracking_code = ?,
+                  exception_reason = ?, resume_status = NULL, held_since = NULL,
+                  last_updated = datetime('now')
+              WHERE tracking_code = ?`,
+          args: [returnCode, reason, parcel.tracking_code],
+        },
+      ],
+      "write",
+    );
+  const returnCode = await withUniqueCode(
+    write,
+    prefixes().includes(prefix) ? prefix : undefined,
+  );
+
+  const here = {
+    name: parcel.current_location_name,
+    lat: parcel.current_lat,
+    lng: parcel.current_lng,
+  };
+  await recordEvent(
+    db,
+    parcel.tracking_code,
+    "return_initiated",
+    `Return to sender: ${reason}`,
+    here,
+  );
+  await recordEvent(
+    db,
+    returnCode,
+    "created",
+    `Return leg for ${parcel.tracking_code} started from ${parcel.current_location_name}`,
+    here,
+  );
+
+  return { returnCode };
+}
+
+// Called by update-location once a return leg is delivered
+async function completeReturn(db, returnLeg) {
+  await db.execute({
+    sql: `UPDATE parcels
+          SET status = 'returned', last_updated = datetime('now')
+          WHERE tracking_code = ? AND status = 'returning'`,
+    args: [returnLeg.return_of],
+  });
+
+  await recordEvent(
+    db,
+    returnLeg.return_of,
+    "returned",
+    `Parcel returned to sender via ${returnLeg.tracking_code}`,
+    {
+      name: returnLeg.receiver_address,
+      lat: returnLeg.destination_lat,
+      lng: returnLeg.destination_lng,
+    },
+  );
+}
+
+module.exports = { returnToSender, completeReturn };
@@ -0,0 +1,75 @@
+// netlify/functions/_sms.js
+// Outgoing text messages behind one interface, like _mail.js. SMS_PROVIDER
+// lists the providers to try, in order; the next one is only used when the
+// one before fails or isn't configured:
+//   twilio → Twilio's API (see _sms/twilio.js for its settings)
+//   stub   → logs each text and keeps it on disk, for local development
+// Unset, no texts are sent at all. Providers live in _sms/ and export
+// { name, configured(), send(message) → { id } }.
+//
+// Messages are { to, text }; numbers are in international (E.164) format.
+
+const PROVIDERS = {
+  twilio: require("./_sms/twilio"),
+  stub: require("./_sms/stub"),
+};
+
+function providers() {
+  const names = (process.env.SMS_PROVIDER || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter(Boolean);
+  return names.map((name) => {
+    const selected = PROVIDERS[name];
+    if (!selected)
+      throw new Error(
+        `Unknown SMS_PROVIDER "${name}" (expected ${Object.keys(PROVIDERS).join(", ")}).`,
+      );
+    return selected;
+  });
+}
+
+// Whether texts go out at all. A misspelt provider still counts: its texts
+// fail in the outbox, where operators can see why.
+function smsEnabled() {
+  return Boolean((process.env.SMS_PROVIDER || "").trim());
+}
+
+// "+44 20 7946 0958", "0044-20-7946-0958" → "+442079460958"; null if it
+// isn't a number in international format
+function normalisePhone(value) {
+  const phone = String(value || "")
+    .replace(/[\s().-]/g, "")
+    .replace(/^00/, "+");
+  return /^\+[1-9]\d{7,14}$/.test(phone) ? phone : null;
+}
+
+// Sends through the first provider that takes the text. Returns
+// { provider, id }; throws if none did, with every provider's reason.
+async function sendSms(message) {
+  const failures = [];
+  for (const provider of providers()) {
+    if (!provider.configured()) {
+      failures.push(`${provider.name}: not configured`);
+      continue;
+    }
+    try {
+      const { id } = await provider.send(message);
+      if (failures.length)
+        console.log(
+          `[sms] Sent via ${provider.name} after ${failures.join("; ")}`,
+        );
+      return { provider: provider.name, id: id || null };
+    } catch (e) {
+      console.error(`[sms] ${provider.name} failed:`, e.message);
+      failures.push(`${provider.name}: ${e.message}`);
+    }
+  }
+  throw new Error(
+    failures.length
+      ? `No SMS provider could send it (${failures.join("; ")})`
+      : "No SMS_PROVIDER is set",
+  );
+}
+
+module.exports = { sendSms, smsEnabled, normalisePhone };
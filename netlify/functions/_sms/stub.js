@@ -0,0 +1,33 @@
+// netlify/functions/_sms/stub.js
+// Local development (SMS_PROVIDER=stub): nothing is sent. Each text is
+// logged and written as JSON to SMS_STUB_DIR (default <tmp>/swiftpulse-sms)
+// to be read back.
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+function directory() {
+  return process.env.SMS_STUB_DIR || path.join(os.tmpdir(), "swiftpulse-sms");
+}
+
+function configured() {
+  return true;
+}
+
+async function send(message) {
+  const dir = directory();
+  await fs.promises.mkdir(dir, { recursive: true });
+  const sentAt = new Date().toISOString();
+  // Sorts by time in a directory listing
+  const id = `${sentAt.replace(/[:.]/g, "-")}-${crypto.randomBytes(4).toString("hex")}`;
+  await fs.promises.writeFile(
+    path.join(dir, `${id}.json`),
+    JSON.stringify({ id, sentAt, ...message }, null, 2),
+  );
+  console.log(`[sms:stub] To ${message.to}: ${message.text}`);
+  return { id };
+}
+
+module.exports = { name: "stub", configured, send };
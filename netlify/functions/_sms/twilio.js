@@ -0,0 +1,42 @@
+// netlify/functions/_sms/twilio.js
+// Twilio's Messages API (SMS_PROVIDER=twilio). Needs TWILIO_ACCOUNT_SID,
+// TWILIO_AUTH_TOKEN and a sender: TWILIO_FROM (a number in international
+// format) or TWILIO_MESSAGING_SERVICE_SID. Without them it is skipped.
+
+function configured() {
+  const env = process.env;
+  return Boolean(
+    env.TWILIO_ACCOUNT_SID &&
+    env.TWILIO_AUTH_TOKEN &&
+    (env.TWILIO_FROM || env.TWILIO_MESSAGING_SERVICE_SID),
+  );
+}
+
+async function send(message) {
+  const env = process.env;
+  const form = new URLSearchParams({ To: message.to, Body: message.text });
+  if (env.TWILIO_MESSAGING_SERVICE_SID)
+    form.set("MessagingServiceSid", env.TWILIO_MESSAGING_SERVICE_SID);
+  else form.set("From", env.TWILIO_FROM);
+
+  const auth = Buffer.from(
+    `${env.TWILIO_ACCOUNT_SID}:${env.TWILIO_AUTH_TOKEN}`,
+  ).toString("base64");
+  const res = await fetch(
+    `https://api.twilio.com/2010-04-01/Accounts/${encodeURIComponent(env.TWILIO_ACCOUNT_SID)}/Messages.json`,
+    {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${auth}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+        Accept: "application/json",
+      },
+      body: form,
+    },
+  );
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data.message || `Twilio returned ${res.status}`);
+  return { id: data.sid };
+}
+
+module.exports = { name: "twilio", configured, send };
@@ -0,0 +1,178 @@
+// netlify/functions/_status.js
+// Parcel lifecycle statuses and the dispatcher-driven exception transitions.
+//
+//   pending → in_transit → out_for_delivery → delivered   (update-location)
+//
+// Any active parcel can be put into an exception status by a dispatcher.
+// While in one, the scheduler leaves it alone; clearing it restores the
+// previous status and shifts the parcel's clock and ETA by the time held.
+//
+// Parcels awaiting pickup can be cancelled; parcels in transit can be sent
+// back (returning → returned, see _returns.js).
+
+const { recordEvent } = require("./_parcels");
+
+const ACTIVE_STATUSES = ["pending", "in_transit", "out_for_delivery"];
+
+const EXCEPTION_STATUSES = {
+  on_hold: "On Hold",
+  delayed: "Delayed",
+  customs_hold: "Held at Customs",
+  returned: "Returned",
+  lost: "Lost",
+};
+
+const STATUS_LABELS = {
+  pending: "Awaiting Pickup",
+  in_transit: "In Transit",
+  out_for_delivery: "Out for Delivery",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+  returning: "Returning to Sender",
+  ...EXCEPTION_STATUSES,
+};
+
+function isException(status) {
+  return Object.prototype.hasOwnProperty.call(EXCEPTION_STATUSES, status);
+}
+
+function statusLabel(status) {
+  return STATUS_LABELS[status] || status;
+}
+
+// The status a parcel is in, or will resume once its exception clears
+function underlyingStatus(parcel) {
+  return isException(parcel.status) ? parcel.resume_status : parcel.status;
+}
+
+// SQLite datetime('now') strings are UTC without a zone marker
+function parseDbTime(value) {
+  return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value}Z`);
+}
+
+// Puts a parcel into an exception status. Switching from one exception to
+// another keeps the original hold start and the status to resume to.
+// Returns an error message, or null on success.
+async function setException(db, parcel, status, reason) {
+  if (!isException(status)) return `Unknown exception status: ${status}`;
+  if (!isException(parcel.status) && !ACTIVE_STATUSES.includes(parcel.status))
+    return `Cannot set an exception on a ${statusLabel(parcel.status).toLowerCase()} parcel`;
+  if (parcel.status === status)
+    return `Parcel is already ${statusLabel(status).toLowerCase()}`;
+
+  const alreadyHeld = isException(parcel.status);
+  await db.execute({
+    sql: `UPDATE parcels
+          SET status = ?, exception_reason = ?,
+              resume_status = ?, held_since = ?,
+              last_updated = datetime('now')
+          WHERE tracking_code = ?`,
+    args: [
+      status,
+      reason,
+      alreadyHeld ? parcel.resume_status : parcel.status,
+      alreadyHeld ? parcel.held_since : new Date().toISOString(),
+      parcel.tracking_code,
+    ],
+  });
+
+  await recordEvent(
+    db,
+    parcel.tracking_code,
+    status,
+    `${statusLabel(status)}: ${reason}`,
+    {
+      name: parcel.current_location_name,
+      lat: parcel.current_lat,
+      lng: parcel.current_lng,
+    },
+  );
+  return null;
+}
+
+// Ends an exception: the parcel resumes its previous status, and both its
+// progress clock (paused_hours) and ETA move on by the time it was held.
+// Returns an error message, or null on success.
+async function clearException(db, parcel, reason) {
+  if (!isException(parcel.status))
+    return "Parcel is not in an exception status";
+  if (parcel.return_tracking_code)
+    return "Parcel was returned through return-to-sender";
+
+  const heldHours = parcel.held_since
+    ? Math.max(0, (Date.now() - parseDbTime(parcel.held_since)) / 3600000)
+    : 0;
+
+  let estimatedDelivery = parcel.estimated_delivery;
+  if (estimatedDelivery) {
+    const eta = new Date(estimatedDelivery);
+    eta.setTime(eta.getTime() + heldHours * 3600000);
+    estimatedDelivery = eta.toISOString();
+  }
+
+  const resumeStatus = parcel.resume_status || "in_transit";
+  await db.execute({
+    sql: `UPDATE parcels
+          SET status = ?, exception_reason = NULL,
+              resume_status = NULL, held_since = NULL,
+              paused_hours = COALESCE(paused_hours, 0) + ?,
+              estimated_delivery = ?, last_updated = datetime('now')
+          WHERE tracking_code = ?`,
+    args: [resumeStatus, heldHours, estimatedDelivery, parcel.tracking_code],
+  });
+
+  await recordEvent(
+    db,
+    parcel.tracking_code,
+    "exception_cleared",
+    `${statusLabel(parcel.status)} resolved: ${reason}`,
+    {
+      name: parcel.current_location_name,
+      lat: parcel.current_lat,
+      lng: parcel.current_lng,
+    },
+  );
+  return null;
+}
+
+// Cancels a parcel that has not been picked up yet (including one on hold
+// before pickup). Returns an error message, or null on success.
+async function cancelParcel(db, parcel, reason) {
+  if (underlyingStatus(parcel) !== "pending")
+    return "Only parcels awaiting pickup can be cancelled";
+
+  await db.execute({
+    sql: `UPDATE parcels
+          SET status = 'cancelled', exception_reason = ?,
+              resume_status = NULL, held_since = NULL,
+              last_updated = datetime('now')
+          WHERE tracking_code = ?`,
+    args: [reason, parcel.tracking_code],
+  });
+
+  await recordEvent(
+    db,
+    parcel.tracking_code,
+    "cancelled",
+    `Shipment cancelled: ${reason}`,
+    {
+      name: parcel.current_location_name,
+      lat: parcel.current_lat,
+      lng: parcel.current_lng,
+    },
+  );
+  return null;
+}
+
+module.exports = {
+  ACTIVE_STATUSES,
+  EXCEPTION_STATUSES,
+  STATUS_LABELS,
+  isException,
+  statusLabel,
+  underlyingStatus,
+  parseDbTime,
+  setException,
+  clearException,
+  cancelParcel,
+};
@@ -0,0 +1,182 @@
+// netlify/functions/_subscriptions.js
+// Who hears about a parcel besides the receiver. Anyone who has verified
+// on the track page (see _privacy.js) can subscribe an email address to
+// some or all of EVENT_TYPES; the subscription only counts once the link
+// emailed to that address is clicked, so nobody can sign up someone else.
+//
+// Every notification carries a signed unsubscribe link, for the receiver
+// too ("receiver" instead of a subscription id), plus List-Unsubscribe
+// headers so mail clients can offer one-click unsubscribe (RFC 8058).
+// Both kinds of link are _tokens.js tokens, so nothing is stored for them.
+// The receiver's texts (see _sms.js) are stopped the same way, as
+// RECEIVER_SMS.
+
+const { v4: uuidv4 } = require("uuid");
+const { createToken, verifyToken } = require("./_tokens");
+const { siteUrl } = require("./_templates");
+
+// Notification types a subscriber can pick, as named by _notify.js
+const EVENT_TYPES = {
+  in_transit: "Picked up and in transit",
+  out_for_delivery: "Out for delivery",
+  delivered: "Delivered",
+  exception: "Delays, holds, returns and other problems",
+};
+
+const CONFIRM_PURPOSE = "subscription-confirm";
+const CONFIRM_TTL = 2 * 24 * 3600;
+// Long enough to outlast any delivery, since links sit in inboxes
+const UNSUBSCRIBE_PURPOSE = "unsubscribe";
+const UNSUBSCRIBE_TTL = 365 * 24 * 3600;
+
+const RECEIVER = "receiver";
+const RECEIVER_SMS = "receiver-sms";
+
+// ─── Input ────────────────────────────────────────────────────────────────────
+// Lower-cased, or null if it doesn't look like an address
+function normaliseEmail(value) {
+  const email = String(value || "")
+    .trim()
+    .toLowerCase();
+  return email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)
+    ? email
+    : null;
+}
+
+// Known types only, in EVENT_TYPES order; everything if none are given
+function parseEvents(value) {
+  const given = Array.isArray(value)
+    ? value
+    : String(value || "")
+        .split(",")
+        .filter(Boolean);
+  if (!given.length) return Object.keys(EVENT_TYPES);
+  return Object.keys(EVENT_TYPES).filter((type) => given.includes(type));
+}
+
+// ─── Links ────────────────────────────────────────────────────────────────────
+function link(code, action, params) {
+  return `${siteUrl()}/api/track/${code}/${action}?${new URLSearchParams(params)}`;
+}
+
+function confirmUrl(code, email, events) {
+  const { token } = createToken(
+    CONFIRM_PURPOSE,
+    `${code} ${email} ${events.join(",")}`,
+    CONFIRM_TTL,
+  );
+  return link(code, "subscribe/confirm", {
+    email,
+    events: events.join(","),
+    token,
+  });
+}
+
+function isConfirmation(token, code, email, events) {
+  return verifyToken(
+    token,
+    CONFIRM_PURPOSE,
+    `${code} ${email} ${events.join(",")}`,
+  );
+}
+
+// who: a subscription id, RECEIVER or RECEIVER_SMS
+function unsubscribeUrl(code, who) {
+  const { token } = createToken(
+    UNSUBSCRIBE_PURPOSE,
+    `${code} ${who}`,
+    UNSUBSCRIBE_TTL,
+  );
+  return link(code, "unsubscribe", { s: who, token });
+}
+
+function isUnsubscribe(token, code, who) {
+  return verifyToken(token, UNSUBSCRIBE_PURPOSE, `${code} ${who}`);
+}
+
+function unsubscribeHeaders(url) {
+  return {
+    "List-Unsubscribe": `<${url}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+// ─── Subscriptions ────────────────────────────────────────────────────────────
+// Subscribing again replaces the chosen events and undoes an unsubscribe
+async function confirmSubscription(db, code, email, events) {
+  await db.execute({
+    sql: `INSERT INTO subscriptions
+            (id, tracking_code, email, events, confirmed_at)
+          VALUES (?, ?, ?, ?, datetime('now'))
+          ON CONFLICT (tracking_code, email) DO UPDATE
+          SET events = excluded.events, confirmed_at = datetime('now'),
+              unsubscribed_at = NULL`,
+    args: [uuidv4(), code, email, events.join(",")],
+  });
+}
+
+// Returns false if there was nothing to unsubscribe
+async function unsubscribe(db, code, who) {
+  const column = {
+    [RECEIVER]: "receiver_unsubscribed_at",
+    [RECEIVER_SMS]: "sms_opt_out_at",
+  }[who];
+  const result = column
+    ? await db.execute({
+        sql: `UPDATE parcels SET ${column} = datetime('now')
+              WHERE tracking_code = ? AND ${column} IS NULL`,
+        args: [code],
+      })
+    : await db.execute({
+        sql: `UPDATE subscriptions SET unsubscribed_at = datetime('now')
+              WHERE id = ? AND tracking_code = ? AND unsubscribed_at IS NULL`,
+        args: [who, code],
+      });
+  return result.rowsAffected > 0;
+}
+
+// Everyone to email about a notification of this type:
+// [{ email, who, name }], the receiver first. name is the receiver's name,
+// or null for subscribers, whom we don't know by name.
+async function recipientsFor(db, parcel, type) {
+  const recipients = [];
+  if (parcel.receiver_email && !parcel.receiver_unsubscribed_at)
+    recipients.push({
+      email: parcel.receiver_email,
+      who: RECEIVER,
+      name: parcel.receiver_name,
+    });
+
+  if (EVENT_TYPES[type]) {
+    const result = await db.execute({
+      sql: `SELECT id, email, events FROM subscriptions
+            WHERE tracking_code = ? AND confirmed_at IS NOT NULL
+              AND unsubscribed_at IS NULL
+            ORDER BY created_at`,
+      args: [parcel.tracking_code],
+    });
+    const receiver = normaliseEmail(parcel.receiver_email);
+    for (const row of result.rows) {
+      if (!row.events.split(",").includes(type) || row.email === receiver)
+        continue;
+      recipients.push({ email: row.email, who: row.id, name: null });
+    }
+  }
+  return recipients;
+}
+
+module.exports = {
+  EVENT_TYPES,
+  RECEIVER,
+  RECEIVER_SMS,
+  normaliseEmail,
+  parseEvents,
+  confirmUrl,
+  isConfirmation,
+  unsubscribeUrl,
+  isUnsubscribe,
+  unsubscribeHeaders,
+  confirmSubscription,
+  unsubscribe,
+  recipientsFor,
+};
@@ -0,0 +1,202 @@
+// netlify/functions/_templates.js
+// Email templates: one module per email in _emails/, rendered to
+// { subject, html, text }.
+//
+// Templates write their HTML with the html`` tag below, which escapes every
+// interpolated value unless it is itself html`` (a partial, say) or wrapped
+// in raw() — so parcel details typed by senders can't inject markup. The
+// plain-text part is generated from the HTML unless a template has its own
+// text(). Shared branding (layout, button, details table) is in
+// _emails/partials.js.
+//
+// Each template exports { name, description, subject(ctx), html(ctx) } and
+// optionally text(ctx); ctx comes from emailContext() plus whatever the
+// caller adds (e.g. the exception reason).
+
+const { statusLabel } = require("./_status");
+
+// ─── Escaping ─────────────────────────────────────────────────────────────────
+class SafeHtml {
+  constructor(value) {
+    this.value = value;
+  }
+
+  toString() {
+    return this.value;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value).replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+}
+
+// Trusted markup, inserted as is
+function raw(value) {
+  return new SafeHtml(String(value ?? ""));
+}
+
+function interpolate(value) {
+  if (value == null || value === false) return "";
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(interpolate).join("");
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  return new SafeHtml(
+    strings.reduce((out, s, i) => out + interpolate(values[i - 1]) + s),
+  );
+}
+
+// ─── Plain text ───────────────────────────────────────────────────────────────
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  "#39": "'",
+  nbsp: " ",
+  middot: "·",
+  mdash: "—",
+};
+
+function decodeEntities(s) {
+  return s.replace(/&(#?\w+);/g, (m, name) => {
+    if (ENTITIES[name]) return ENTITIES[name];
+    const code = /^#(\d+)$/.exec(name);
+    return code ? String.fromCodePoint(Number(code[1])) : m;
+  });
+}
+
+// Good enough for our own layouts: whitespace collapses as in HTML, links
+// keep their URL, table rows (th label, td value) read "label: value" and
+// blocks become paragraphs. The preheader (see _emails/partials.js) is
+// left out.
+function htmlToText(markup) {
+  const text = String(markup)
+    .replace(/<(head|style|script)[\s\S]*?<\/\1>/gi, "")
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<div\s+class="preheader"[\s\S]*?<\/div>/g, "")
+    .replace(/\s+/g, " ")
+    .replace(
+      /<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a\s*>/gi,
+      (m, href, label) => {
+        const text = label.replace(/<[^>]+>/g, "").trim();
+        const url = decodeEntities(href);
+        return !text || text === url ? url : `${text}: ${url}`;
+      },
+    )
+    .replace(/\s*<\/th>/gi, ": ")
+    .replace(/<\/td>/gi, " ")
+    .replace(/<li[^>]*>/gi, "- ")
+    .replace(/<(br\s*\/?|\/tr|\/li)>/gi, "\n")
+    .replace(/<\/?(p|div|table|ul|ol|h[1-6])(\s[^>]*)?>/gi, "\n\n")
+    .replace(/<[^>]+>/g, "");
+
+  return decodeEntities(text)
+    .split("\n")
+    .map((line) => line.replace(/ +/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+// ─── Templates ────────────────────────────────────────────────────────────────
+// Loaded on first use: the templates require this module for html``
+let _templates = null;
+
+function templates() {
+  if (!_templates) {
+    _templates = Object.fromEntries(
+      [
+        require("./_emails/shipment_created"),
+        require("./_emails/in_transit"),
+        require("./_emails/out_for_delivery"),
+        require("./_emails/delivered"),
+        require("./_emails/exception"),
+        require("./_emails/resumed"),
+        require("./_emails/returning"),
+        require("./_emails/returned"),
+        require("./_emails/subscription_confirm"),
+      ].map((t) => [t.name, t]),
+    );
+  }
+  return _templates;
+}
+
+// [{ name, description }], for the admin preview
+function listTemplates() {
+  return Object.values(templates()).map(({ name, description }) => ({
+    name,
+    description,
+  }));
+}
+
+function siteUrl() {
+  return (process.env.SITE_URL || process.env.URL || "").replace(/\/+$/, "");
+}
+
+function formatDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date) ? null : date.toDateString();
+}
+
+// What every template can use, from a parcels row
+function emailContext(parcel, extra = {}) {
+  return {
+    siteUrl: siteUrl(),
+    trackUrl: `${siteUrl()}/track/${parcel.tracking_code}`,
+    // For text messages; redirects to trackUrl (netlify.toml)
+    shortTrackUrl: `${siteUrl()}/t/${parcel.tracking_code}`,
+    trackingCode: parcel.tracking_code,
+    status: parcel.status,
+    statusLabel: statusLabel(parcel.status),
+    exceptionReason: parcel.exception_reason,
+    senderName: parcel.sender_name,
+    receiverName: parcel.receiver_name,
+    // Who the email is addressed to; subscribers go unnamed, and get it
+    // without the receiver's details (see _emails/partials.js)
+    recipientName: parcel.receiver_name,
+    subscriber: false,
+    receiverAddress: parcel.receiver_address,
+    parcelDescription: parcel.parcel_description,
+    currentLocation: parcel.current_location_name,
+    estimatedDelivery: formatDate(parcel.estimated_delivery),
+    ...extra,
+  };
+}
+
+// { subject, html, text }; throws for an unknown template name
+function renderEmail(name, ctx) {
+  const template = templates()[name];
+  if (!template)
+    throw new Error(
+      `Unknown email template "${name}" (expected ${Object.keys(templates()).join(", ")})`,
+    );
+
+  const markup = String(template.html(ctx));
+  return {
+    // A subject is a header: no line breaks
+    subject: String(template.subject(ctx)).replace(/[\r\n]+/g, " "),
+    html: markup,
+    text: template.text ? String(template.text(ctx)) : htmlToText(markup),
+  };
+}
+
+module.exports = {
+  listTemplates,
+  siteUrl,
+  html,
+  raw,
+  escapeHtml,
+  htmlToText,
+  emailContext,
+  renderEmail,
+};
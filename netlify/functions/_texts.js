@@ -0,0 +1,74 @@
+// netlify/functions/_texts.js
+// Text message (SMS) templates, one per notification _notify.js sends by
+// email. Texts are plain, short status lines ending in the short tracking
+// link, kept to one 160-character SMS where the details allow: the
+// exception reason is cut down to fit.
+//
+// ctx is the same as for email (emailContext() in _templates.js).
+
+const BRAND = "SwiftPulse";
+const MAX_LENGTH = 160;
+
+// Cut at a word where it can be
+function shorten(value, max) {
+  const text = String(value || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 3);
+  const word = cut.lastIndexOf(" ");
+  return `${(word > max / 2 ? cut.slice(0, word) : cut).replace(/[\s.,;:]+$/, "")}...`;
+}
+
+const TEXTS = {
+  shipment_created: (ctx) =>
+    `${BRAND}: Your parcel ${ctx.trackingCode} is registered and awaiting pickup. Track it: ${ctx.shortTrackUrl}`,
+
+  in_transit: (ctx) =>
+    `${BRAND}: Parcel ${ctx.trackingCode} is on its way${ctx.estimatedDelivery ? `, due ${ctx.estimatedDelivery}` : ""}. Track it: ${ctx.shortTrackUrl}`,
+
+  out_for_delivery: (ctx) =>
+    `${BRAND}: Parcel ${ctx.trackingCode} is out for delivery today. Track it: ${ctx.shortTrackUrl}`,
+
+  delivered: (ctx) =>
+    `${BRAND}: Parcel ${ctx.trackingCode} has been delivered. Details: ${ctx.shortTrackUrl}`,
+
+  exception: (ctx) => {
+    const head = `${BRAND}: Parcel ${ctx.trackingCode} is ${ctx.statusLabel.toLowerCase()}`;
+    const tail = ` Track it: ${ctx.shortTrackUrl}`;
+    // ": " before the reason, and a full stop after it
+    const room = MAX_LENGTH - head.length - tail.length - 3;
+    const reason =
+      ctx.exceptionReason && room >= 12
+        ? `: ${shorten(ctx.exceptionReason, room)}`
+        : "";
+    const stop = /[.!?]$/.test(reason) ? "" : ".";
+    return `${head}${reason}${stop}${tail}`;
+  },
+
+  resumed: (ctx) =>
+    `${BRAND}: Parcel ${ctx.trackingCode} is no longer held and is ${ctx.statusLabel.toLowerCase()} again${ctx.estimatedDelivery ? `, due ${ctx.estimatedDelivery}` : ""}. Track it: ${ctx.shortTrackUrl}`,
+
+  returning: (ctx) =>
+    `${BRAND}: Parcel ${ctx.trackingCode} won't be delivered and is being returned to the sender. Track it: ${ctx.shortTrackUrl}`,
+
+  returned: (ctx) =>
+    `${BRAND}: Parcel ${ctx.trackingCode} has been returned to the sender. Details: ${ctx.shortTrackUrl}`,
+};
+
+// Whether a notification has a text version
+function hasText(name) {
+  return Boolean(TEXTS[name]);
+}
+
+// The message; throws for an unknown template name
+function renderText(name, ctx) {
+  const text = TEXTS[name];
+  if (!text)
+    throw new Error(
+      `Unknown text template "${name}" (expected ${Object.keys(TEXTS).join(", ")})`,
+    );
+  return text(ctx).replace(/\s+/g, " ").trim();
+}
+
+module.exports = { hasText, renderText };
@@ -0,0 +1,64 @@
+// netlify/functions/_tokens.js
+// Short-lived signed tokens: "<payload>.<signature>", both base64url, where
+// the payload is { p: purpose, s: subject, e: expiry (unix seconds) } and
+// the signature an HMAC-SHA256 of it under TOKEN_SECRET. Nothing is stored,
+// so they can't be revoked — keep the TTLs short.
+//
+// The purpose stops a token minted for one thing (say, seeing a parcel's
+// details) being accepted for another.
+
+const crypto = require("crypto");
+
+function secret() {
+  const value = process.env.TOKEN_SECRET;
+  if (!value) {
+    throw new Error(
+      "Missing TOKEN_SECRET environment variable. " +
+        "Add it in Netlify → Site Settings → Environment Variables.",
+    );
+  }
+  return value;
+}
+
+function sign(payload) {
+  return crypto
+    .createHmac("sha256", secret())
+    .update(payload)
+    .digest("base64url");
+}
+
+// Returns { token, expiresAt }
+function createToken(purpose, subject, ttlSeconds) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(
+    JSON.stringify({ p: purpose, s: subject, e: exp }),
+  ).toString("base64url");
+  return {
+    token: `${payload}.${sign(payload)}`,
+    expiresAt: new Date(exp * 1000).toISOString(),
+  };
+}
+
+// True only for an unexpired token with this purpose and subject
+function verifyToken(token, purpose, subject) {
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined) return false;
+
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return false;
+  }
+
+  try {
+    const { p, s, e } = JSON.parse(Buffer.from(payload, "base64url"));
+    return p === purpose && s === subject && e * 1000 > Date.now();
+  } catch {
+    return false;
+  }
+}
+
+module.exports = { createToken, verifyToken };
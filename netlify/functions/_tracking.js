@@ -0,0 +1,198 @@
+// netlify/functions/_tracking.js
+// The tracking response for a code: the parcel, its route (thinned) and
+// legs, the newest events and the return leg, in the public or detailed
+// tier (see _privacy.js). Served as JSON by track-parcel.js and rendered
+// into the track page by track-page.js.
+
+const { progressPercent, findParcel, listEvents } = require("./_parcels");
+const { splitAtAntimeridian } = require("./_geodesy");
+const { parseLegs, legAt } = require("./_journey");
+const { etagFor, lastModified } = require("./_cache");
+const { coarseAddress, publicTracking } = require("./_privacy");
+
+// The newest events across the parcel and its return leg; older ones come
+// from GET /api/track/:code/events?before=<olderEventsCursor>
+const EVENTS_PAGE_SIZE = 20;
+
+// Thin out route points for payload efficiency (every 5th point).
+// routeSegments is the same path split at ±180° for drawing on a map.
+function thinRoute(routeJson) {
+  if (!routeJson)
+    return { routePoints: null, routeSegments: [], totalPoints: 0 };
+  const pts = JSON.parse(routeJson);
+  const routePoints = pts.filter((_, i) => i % 5 === 0 || i === pts.length - 1);
+  return {
+    routePoints,
+    routeSegments: splitAtAntimeridian(routePoints),
+    totalPoints: pts.length,
+  };
+}
+
+// Each leg's own slice of the route, thinned and split the same way, so the
+// map can style it by mode
+function legGeometry(routeJson, legs) {
+  if (!routeJson || !legs) return null;
+  const pts = JSON.parse(routeJson);
+  return legs.map((leg) => {
+    const slice = pts.slice(leg.startIndex, leg.endIndex + 1);
+    const thinned = slice.filter(
+      (_, i) => i % 5 === 0 || i === slice.length - 1,
+    );
+    return {
+      mode: leg.mode,
+      from: leg.from,
+      to: leg.to,
+      routeSegments: splitAtAntimeridian(thinned),
+    };
+  });
+}
+
+// Everything the response depends on, without the route: the parcel's and
+// return leg's last change, the newest event for either, and whether the
+// receiver stopped texts (which doesn't count as a change to the parcel). The event
+// rowid is also the cursor the live stream (track-stream.js) picks up from.
+async function fetchState(db, code, detailed) {
+  const result = await db.execute({
+    sql: `SELECT p.status, p.route_progress, p.last_updated, p.sms_opt_out_at,
+                 r.tracking_code AS return_code, r.status AS return_status,
+                 r.route_progress AS return_progress,
+                 r.last_updated AS return_last_updated,
+                 e.cursor AS event_cursor, e.latest AS latest_event
+          FROM parcels p
+          LEFT JOIN parcels r ON r.tracking_code = p.return_tracking_code
+          LEFT JOIN (
+            SELECT MAX(rowid) AS cursor, MAX(timestamp) AS latest
+            FROM tracking_events
+            WHERE tracking_code IN (
+              ?, (SELECT return_tracking_code FROM parcels WHERE tracking_code = ?)
+            )
+          ) e
+          WHERE p.tracking_code = ?`,
+    args: [code, code, code],
+  });
+  const state = result.rows[0];
+  if (!state) return null;
+  return {
+    eventCursor: state.event_cursor || 0,
+    validators: {
+      etag: etagFor(
+        code,
+        detailed,
+        state.status,
+        state.route_progress,
+        state.last_updated,
+        state.return_code,
+        state.return_status,
+        state.return_progress,
+        state.return_last_updated,
+        state.event_cursor,
+        state.sms_opt_out_at,
+      ),
+      modified: lastModified(
+        state.last_updated,
+        state.return_last_updated,
+        state.latest_event,
+      ),
+      private: detailed,
+    },
+  };
+}
+
+// eventCursor: from fetchState(), for the live stream to pick up from
+async function loadTracking(db, code, { detailed, eventCursor }) {
+  const parcel = await findParcel(db, code);
+
+  const page = await listEvents(
+    db,
+    [code, parcel.return_tracking_code].filter(Boolean),
+    { limit: EVENTS_PAGE_SIZE },
+  );
+  const events = page.events.filter((ev) => ev.tracking_code === code);
+  const { routePoints, routeSegments, totalPoints } = thinRoute(
+    parcel.route_points,
+  );
+  const legs = parseLegs(parcel.route_legs);
+
+  // Return-to-sender: the original code also shows the way back
+  let returnLeg = null;
+  let leg = null;
+  if (parcel.return_tracking_code) {
+    leg = await findParcel(db, parcel.return_tracking_code);
+    if (leg) {
+      const legRoute = thinRoute(leg.route_points);
+      const returnLegs = parseLegs(leg.route_legs);
+      returnLeg = {
+        trackingCode: leg.tracking_code,
+        status: leg.status,
+        currentLat: leg.current_lat,
+        currentLng: leg.current_lng,
+        currentLocationName: leg.current_location_name,
+        destinationLat: leg.destination_lat,
+        destinationLng: leg.destination_lng,
+        estimatedDelivery: leg.estimated_delivery,
+        lastUpdated: leg.last_updated,
+        progressPercent: progressPercent(
+          leg.route_progress,
+          legRoute.totalPoints,
+          returnLegs,
+        ),
+        routePoints: legRoute.routePoints,
+        routeSegments: legRoute.routeSegments,
+        legs: legGeometry(leg.route_points, returnLegs),
+        events: page.events.filter(
+          (ev) => ev.tracking_code === leg.tracking_code,
+        ),
+      };
+    }
+  }
+
+  const data = {
+    detailed: true,
+    parcel: {
+      trackingCode: parcel.tracking_code,
+      status: parcel.status,
+      exceptionReason: parcel.exception_reason,
+      returnOf: parcel.return_of,
+      returnTrackingCode: parcel.return_tracking_code,
+      senderName: parcel.sender_name,
+      senderAddress: parcel.sender_address,
+      receiverName: parcel.receiver_name,
+      receiverAddress: parcel.receiver_address,
+      parcelDescription: parcel.parcel_description,
+      // Whether the receiver gets texts, so the track page can stop them
+      textUpdates: Boolean(parcel.receiver_phone && !parcel.sms_opt_out_at),
+      // Where the route starts, which needn't be the sender's address
+      originName: coarseAddress(parcel.delivery_from_address),
+      destinationName: coarseAddress(parcel.receiver_address),
+      currentLat: parcel.current_lat,
+      currentLng: parcel.current_lng,
+      currentLocationName: parcel.current_location_name,
+      originLat: parcel.origin_lat,
+      originLng: parcel.origin_lng,
+      destinationLat: parcel.destination_lat,
+      destinationLng: parcel.destination_lng,
+      daysToDeliver: parcel.days_to_deliver,
+      estimatedDelivery: parcel.estimated_delivery,
+      createdAt: parcel.created_at,
+      lastUpdated: parcel.last_updated,
+      progressPercent: progressPercent(
+        parcel.route_progress,
+        totalPoints,
+        legs,
+      ),
+      transportMode: parcel.transport_mode || "road",
+      currentLeg: legAt(legs, parcel.route_progress || 0),
+    },
+    routePoints,
+    routeSegments,
+    legs: legGeometry(parcel.route_points, legs),
+    events,
+    returnLeg,
+    eventCursor,
+    olderEventsCursor: page.nextCursor,
+  };
+
+  return detailed ? data : publicTracking(data, parcel, leg);
+}
+
+module.exports = { fetchState, loadTracking };
@@ -0,0 +1,684 @@
+// netlify/functions/admin-parcels.js
+// Operator parcel management for admz.
+//   GET   /api/admin/parcels         → paginated, filterable parcel list
+//   GET   /api/admin/parcels/:code   → one parcel, with its editable fields
+//   PATCH /api/admin/parcels/:code   → correct receiver / parcel details;
+//          receiverPhone "" removes the number, smsOptOut stops texts
+//   POST   /api/admin/parcels/:code/exception  { status, reason } → hold etc.
+//          (the receiver is emailed, see _notify.js)
+//   DELETE /api/admin/parcels/:code/exception  { reason }         → clear it
+//          (the receiver is emailed again)
+//   POST   /api/admin/parcels/:code/cancel     { reason } → before pickup
+//   POST   /api/admin/parcels/:code/return     { reason } → return to sender
+//          (the receiver is emailed too)
+//   GET    /api/admin/parcels/:code/export/:format → journey as geojson,
+//          gpx or kml, with exact positions (see _geoexport.js)
+//   GET    /api/admin/parcels/:code/emails            → email templates
+//   GET    /api/admin/parcels/:code/emails/:template  → that email rendered
+//          for this parcel (see _templates.js); ?format=json (default,
+//          { subject, html, text }), html or text for the bare part, and
+//          ?status= an exception status to preview the exception email as
+//   GET    /api/admin/parcels/:code/outbox         → the parcel's email and
+//          how its delivery went (see _outbox.js)
+//   POST   /api/admin/parcels/:code/outbox/:id/resend → queue one again
+// Called via the redirects in netlify.toml:
+//   /api/admin/parcels    →  /.netlify/functions/admin-parcels
+//   /api/admin/parcels/*  →  /.netlify/functions/admin-parcels/:splat
+//
+// List query parameters (all optional):
+//   status       comma-separated, e.g. "in_transit,out_for_delivery"
+//   createdFrom  YYYY-MM-DD, inclusive
+//   createdTo    YYYY-MM-DD, inclusive
+//   email        matches receiver_email or sender_email (partial)
+//   q            matches parcel_description (partial)
+//   code         matches tracking_code (partial)
+//   order        "desc" (default, most recently updated first) or "asc"
+//   page         1-based, default 1
+//   pageSize     default 25, max 100
+
+const { initDb, ok, err, CORS_HEADERS } = require("./_db");
+const { requireOperator, recordAction } = require("./_auth");
+const { geocodeAddress, getRoute } = require("./_routing");
+const {
+  progressPercent,
+  findParcel,
+  recordEvent,
+  spliceRoute,
+  listEvents,
+} = require("./_parcels");
+const {
+  ACTIVE_STATUSES,
+  EXCEPTION_STATUSES,
+  isException,
+  statusLabel,
+  underlyingStatus,
+  setException,
+  clearException,
+  cancelParcel,
+} = require("./_status");
+const { returnToSender } = require("./_returns");
+const { notifyStatus, notifyResumed } = require("./_notify");
+const { resendEmail, emailHistory } = require("./_outbox");
+const { parseLegs, rerouteFrom, retargetLegs } = require("./_journey");
+const { FORMATS, journeyFor, exportResponse } = require("./_geoexport");
+const { normalisePhone } = require("./_sms");
+const { listTemplates, renderEmail, emailContext } = require("./_templates");
+const {
+  EVENT_TYPES,
+  RECEIVER,
+  confirmUrl,
+  unsubscribeUrl,
+} = require("./_subscriptions");
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Escapes LIKE wildcards so user input only ever matches literally
+function like(value) {
+  return `%${String(value).replace(/[\\%_]/g, (c) => `\\${c}`)}%`;
+}
+
+function buildFilters(query) {
+  const where = [];
+  const args = [];
+
+  if (query.status) {
+    const statuses = query.status
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+    if (statuses.length) {
+      where.push(`status IN (${statuses.map(() => "?").join(", ")})`);
+      args.push(...statuses);
+    }
+  }
+
+  if (query.createdFrom) {
+    if (!DATE_RE.test(query.createdFrom))
+      throw new Error("createdFrom must be YYYY-MM-DD");
+    where.push("created_at >= ?");
+    args.push(query.createdFrom);
+  }
+
+  if (query.createdTo) {
+    if (!DATE_RE.test(query.createdTo))
+      throw new Error("createdTo must be YYYY-MM-DD");
+    where.push("created_at < date(?, '+1 day')");
+    args.push(query.createdTo);
+  }
+
+  if (query.email) {
+    where.push(
+      "(receiver_email LIKE ? ESCAPE '\\' OR sender_email LIKE ? ESCAPE '\\')",
+    );
+    args.push(like(query.email), like(query.email));
+  }
+
+  if (query.q) {
+    where.push("parcel_description LIKE ? ESCAPE '\\'");
+    args.push(like(query.q));
+  }
+
+  if (query.code) {
+    where.push("tracking_code LIKE ? ESCAPE '\\'");
+    args.push(like(query.code.trim().toUpperCase()));
+  }
+
+  return {
+    clause: where.length ? `WHERE ${where.join(" AND ")}` : "",
+    args,
+  };
+}
+
+// "/api/admin/parcels/CRX-…" and "/.netlify/functions/admin-parcels/CRX-…"
+// both → ["CRX-…"]
+function subPath(path) {
+  const segments = (path || "").split("/").filter(Boolean);
+  const base = segments.findIndex(
+    (s) => s === "parcels" || s === "admin-parcels",
+  );
+  return base === -1 ? [] : segments.slice(base + 1);
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: CORS_HEADERS, body: "" };
+  }
+
+  const [code, action, target, verb] = subPath(event.path);
+  const trackingCode = code ? decodeURIComponent(code).toUpperCase() : null;
+
+  try {
+    const db = await initDb();
+    const { operator, denied } = await requireOperator(event, db);
+    if (denied) return denied;
+
+    if (!trackingCode && event.httpMethod === "GET")
+      return await listParcels(event, db);
+    if (trackingCode && !action && event.httpMethod === "GET")
+      return await getParcel(db, trackingCode);
+    if (trackingCode && !action && event.httpMethod === "PATCH")
+      return await updateParcel(event, db, operator, trackingCode);
+    if (trackingCode && action === "exception")
+      return await changeException(event, db, operator, trackingCode);
+    if (trackingCode && action === "cancel" && event.httpMethod === "POST")
+      return await cancel(event, db, operator, trackingCode);
+    if (trackingCode && action === "return" && event.httpMethod === "POST")
+      return await sendBack(event, db, operator, trackingCode);
+    if (trackingCode && action === "export" && event.httpMethod === "GET")
+      return await exportJourney(db, trackingCode, target);
+    if (trackingCode && action === "emails" && event.httpMethod === "GET")
+      return await previewEmail(event, db, trackingCode, target);
+    if (
+      trackingCode &&
+      action === "outbox" &&
+      !target &&
+      event.httpMethod === "GET"
+    )
+      return await listEmails(db, trackingCode);
+    if (
+      trackingCode &&
+      action === "outbox" &&
+      verb === "resend" &&
+      event.httpMethod === "POST"
+    )
+      return await resend(db, operator, trackingCode, target);
+
+    return err("Method not allowed", 405);
+  } catch (e) {
+    console.error("[admin-parcels]", e);
+    return err("Failed to process parcel request", 500);
+  }
+};
+
+// ─── List ─────────────────────────────────────────────────────────────────────
+async function listParcels(event, db) {
+  const query = event.queryStringParameters || {};
+
+  let filters;
+  try {
+    filters = buildFilters(query);
+  } catch (e) {
+    return err(e.message);
+  }
+
+  const order = query.order === "asc" ? "ASC" : "DESC";
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const pageSize = Math.min(
+    100,
+    Math.max(1, parseInt(query.pageSize, 10) || 25),
+  );
+
+  const countResult = await db.execute({
+    sql: `SELECT COUNT(*) AS total FROM parcels ${filters.clause}`,
+    args: filters.args,
+  });
+  const total = Number(countResult.rows[0].total);
+
+  // json_array_length avoids shipping every route to compute progress
+  const result = await db.execute({
+    sql: `SELECT tracking_code, status, sender_name, sender_email,
+                 receiver_name, receiver_email, parcel_description,
+                 current_location_name, route_progress, route_legs,
+                 json_array_length(route_points) AS total_points,
+                 created_at, estimated_delivery, last_updated
+          FROM parcels ${filters.clause}
+          ORDER BY last_updated ${order}, created_at ${order}
+          LIMIT ? OFFSET ?`,
+    args: [...filters.args, pageSize, (page - 1) * pageSize],
+  });
+
+  return ok({
+    parcels: result.rows.map((p) => ({
+      trackingCode: p.tracking_code,
+      status: p.status,
+      senderName: p.sender_name,
+      senderEmail: p.sender_email,
+      receiverName: p.receiver_name,
+      receiverEmail: p.receiver_email,
+      parcelDescription: p.parcel_description,
+      currentLocationName: p.current_location_name,
+      progressPercent: progressPercent(
+        p.route_progress,
+        p.total_points,
+        parseLegs(p.route_legs),
+      ),
+      createdAt: p.created_at,
+      estimatedDelivery: p.estimated_delivery,
+      lastUpdated: p.last_updated,
+    })),
+    page,
+    pageSize,
+    total,
+    totalPages: Math.max(1, Math.ceil(total / pageSize)),
+  });
+}
+
+// ─── Detail ───────────────────────────────────────────────────────────────────
+function adminView(parcel) {
+  const totalPoints = parcel.route_points
+    ? JSON.parse(parcel.route_points).length
+    : 0;
+  return {
+    trackingCode: parcel.tracking_code,
+    status: parcel.status,
+    senderName: parcel.sender_name,
+    senderEmail: parcel.sender_email,
+    senderAddress: parcel.sender_address,
+    receiverName: parcel.receiver_name,
+    receiverEmail: parcel.receiver_email,
+    receiverPhone: parcel.receiver_phone,
+    smsOptOut: Boolean(parcel.sms_opt_out_at),
+    receiverAddress: parcel.receiver_address,
+    parcelDescription: parcel.parcel_description,
+    deliveryFromAddress: parcel.delivery_from_address,
+    daysToDeliver: parcel.days_to_deliver,
+    exceptionReason: parcel.exception_reason,
+    heldSince: parcel.held_since,
+    resumeStatus: parcel.resume_status,
+    returnOf: parcel.return_of,
+    returnTrackingCode: parcel.return_tracking_code,
+    currentLocationName: parcel.current_location_name,
+    transportMode: parcel.transport_mode || "road",
+    progressPercent: progressPercent(
+      parcel.route_progress,
+      totalPoints,
+      parseLegs(parcel.route_legs),
+    ),
+    createdAt: parcel.created_at,
+    estimatedDelivery: parcel.estimated_delivery,
+    lastUpdated: parcel.last_updated,
+  };
+}
+
+async function getParcel(db, trackingCode) {
+  const parcel = await findParcel(db, trackingCode);
+  if (!parcel) return err("Parcel not found", 404);
+  return ok({ parcel: adminView(parcel) });
+}
+
+// ─── Update ───────────────────────────────────────────────────────────────────
+// Request field → parcels column, for every field an operator may correct
+const EDITABLE = {
+  receiverName: "receiver_name",
+  receiverEmail: "receiver_email",
+  receiverPhone: "receiver_phone",
+  receiverAddress: "receiver_address",
+  parcelDescription: "parcel_description",
+  daysToDeliver: "days_to_deliver",
+};
+
+async function updateParcel(event, db, operator, trackingCode) {
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return err("Invalid JSON body", 400);
+  }
+
+  const parcel = await findParcel(db, trackingCode);
+  if (!parcel) return err("Parcel not found", 404);
+
+  // Collect the fields that actually change
+  const changes = {};
+  for (const [field, column] of Object.entries(EDITABLE)) {
+    if (body[field] === undefined) continue;
+
+    let value = body[field];
+    if (field === "daysToDeliver") {
+      value = parseInt(value, 10);
+      if (isNaN(value) || value < 1 || value > 30)
+        return err("daysToDeliver must be between 1 and 30");
+    } else if (field === "receiverPhone") {
+      // The one optional field: empty removes the number
+      const given = String(value || "").trim();
+      value = given ? normalisePhone(given) : null;
+      if (given && !value)
+        return err(
+          "receiverPhone must be in international format, e.g. +2348012345678",
+        );
+    } else {
+      value = String(value).trim();
+      if (!value) return err(`${field} cannot be empty`);
+    }
+
+    if (value !== parcel[column])
+      changes[column] = { from: parcel[column], to: value };
+  }
+
+  // Texts on or off; not a column value the operator types
+  if (
+    body.smsOptOut !== undefined &&
+    Boolean(body.smsOptOut) !== Boolean(parcel.sms_opt_out_at)
+  )
+    changes.sms_opt_out_at = {
+      from: parcel.sms_opt_out_at,
+      to: body.smsOptOut ? new Date().toISOString() : null,
+    };
+
+  if (!Object.keys(changes).length) return err("No changes to apply");
+
+  const updates = {};
+  for (const [column, { to }] of Object.entries(changes)) updates[column] = to;
+
+  // ETA always counts from creation, like update-location's progress clock
+  if (changes.days_to_deliver) {
+    const estimatedDelivery = new Date(parcel.created_at);
+    estimatedDelivery.setDate(
+      estimatedDelivery.getDate() + changes.days_to_deliver.to,
+    );
+    updates.estimated_delivery = estimatedDelivery.toISOString();
+    changes.estimated_delivery = {
+      from: parcel.estimated_delivery,
+      to: updates.estimated_delivery,
+    };
+  }
+
+  // A new address is re-routed from where the parcel is now, not the origin.
+  // Multi-modal parcels keep their hubs and only change the final road leg.
+  let rerouted = false;
+  let rerouteName = parcel.current_location_name;
+  if (changes.receiver_address) {
+    // A return leg, or a parcel on its way back, goes to the sender; one
+    // delivered, cancelled or returned isn't going anywhere
+    if (parcel.return_of)
+      return err("Cannot change the address of a return leg", 409);
+    if (parcel.return_tracking_code)
+      return err("Parcel is being returned to its sender", 409);
+    if (!ACTIVE_STATUSES.includes(underlyingStatus(parcel)))
+      return err(
+        `Cannot change the address of a ${statusLabel(parcel.status).toLowerCase()} parcel`,
+        409,
+      );
+
+    const destGeo = await geocodeAddress(changes.receiver_address.to);
+    if (!destGeo) return err("Could not locate the new delivery address", 422);
+
+    updates.destination_lat = destGeo.lat;
+    updates.destination_lng = destGeo.lng;
+
+    if (parcel.origin_lat != null && parcel.route_points) {
+      const routePoints = JSON.parse(parcel.route_points);
+      const legs = parseLegs(parcel.route_legs);
+      const fromIndex = rerouteFrom(legs, parcel.route_progress || 0);
+      const from = routePoints[fromIndex];
+
+      const routeData = await getRoute(
+        from.lat,
+        from.lng,
+        destGeo.lat,
+        destGeo.lng,
+      );
+      if (routeData) {
+        updates.route_points = JSON.stringify(
+          spliceRoute(routePoints, fromIndex, routeData.points),
+        );
+        if (legs) {
+          updates.route_legs = JSON.stringify(
+            retargetLegs(legs, {
+              name: changes.receiver_address.to,
+              lat: destGeo.lat,
+              lng: destGeo.lng,
+            }),
+          );
+          if (fromIndex !== (parcel.route_progress || 0))
+            rerouteName = legs[legs.length - 1].from.name;
+        }
+        rerouted = true;
+      }
+    }
+  }
+
+  const columns = Object.keys(updates);
+  await db.execute({
+    sql: `UPDATE parcels
+          SET ${columns.map((c) => `${c} = ?`).join(", ")},
+              last_updated = datetime('now')
+          WHERE tracking_code = ?`,
+    args: [...columns.map((c) => updates[c]), trackingCode],
+  });
+
+  const here = {
+    name: parcel.current_location_name,
+    lat: parcel.current_lat,
+    lng: parcel.current_lng,
+  };
+  if (rerouted) {
+    await recordEvent(
+      db,
+      trackingCode,
+      "rerouted",
+      `Delivery address updated. Re-routed from ${rerouteName}`,
+      here,
+    );
+  }
+  const otherFields = Object.keys(changes).filter(
+    (c) =>
+      c !== "estimated_delivery" &&
+      c !== "sms_opt_out_at" &&
+      !(rerouted && c === "receiver_address"),
+  );
+  if (otherFields.length) {
+    const labels = otherFields.map((c) => c.replace(/_/g, " "));
+    await recordEvent(
+      db,
+      trackingCode,
+      "details_updated",
+      `Shipment details updated: ${labels.join(", ")}`,
+      here,
+    );
+  }
+
+  await recordAction(db, operator, "parcel.update", trackingCode, {
+    changes,
+    rerouted,
+  });
+  console.log(
+    `[admin-parcels] ${operator.email} updated ${trackingCode}: ${Object.keys(changes).join(", ")}`,
+  );
+
+  return ok({
+    success: true,
+    rerouted,
+    parcel: adminView(await findParcel(db, trackingCode)),
+  });
+}
+
+// ─── Exceptions ───────────────────────────────────────────────────────────────
+async function changeException(event, db, operator, trackingCode) {
+  if (event.httpMethod !== "POST" && event.httpMethod !== "DELETE")
+    return err("Method not allowed", 405);
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return err("Invalid JSON body", 400);
+  }
+
+  const reason = String(body.reason || "").trim();
+  if (!reason) return err("reason is required");
+
+  const setting = event.httpMethod === "POST";
+  if (setting && !isException(body.status))
+    return err(
+      `status must be one of: ${Object.keys(EXCEPTION_STATUSES).join(", ")}`,
+    );
+
+  const parcel = await findParcel(db, trackingCode);
+  if (!parcel) return err("Parcel not found", 404);
+
+  const problem = setting
+    ? await setException(db, parcel, body.status, reason)
+    : await clearException(db, parcel, reason);
+  if (problem) return err(problem, 409);
+  if (setting) await notifyStatus(db, trackingCode);
+  else await notifyResumed(db, trackingCode, parcel.held_since);
+
+  await recordAction(
+    db,
+    operator,
+    setting ? "parcel.exception.set" : "parcel.exception.clear",
+    trackingCode,
+    { from: parcel.status, status: setting ? body.status : undefined, reason },
+  );
+
+  return ok({
+    success: true,
+    parcel: adminView(await findParcel(db, trackingCode)),
+  });
+}
+
+// ─── Cancel / return to sender ────────────────────────────────────────────────
+function readReason(event) {
+  try {
+    return String(JSON.parse(event.body || "{}").reason || "").trim();
+  } catch {
+    return "";
+  }
+}
+
+async function cancel(event, db, operator, trackingCode) {
+  const reason = readReason(event);
+  if (!reason) return err("reason is required");
+
+  const parcel = await findParcel(db, trackingCode);
+  if (!parcel) return err("Parcel not found", 404);
+
+  const problem = await cancelParcel(db, parcel, reason);
+  if (problem) return err(problem, 409);
+
+  await recordAction(db, operator, "parcel.cancel", trackingCode, {
+    from: parcel.status,
+    reason,
+  });
+  return ok({
+    success: true,
+    parcel: adminView(await findParcel(db, trackingCode)),
+  });
+}
+
+async function sendBack(event, db, operator, trackingCode) {
+  const reason = readReason(event);
+  if (!reason) return err("reason is required");
+
+  const parcel = await findParcel(db, trackingCode);
+  if (!parcel) return err("Parcel not found", 404);
+
+  const { error, returnCode } = await returnToSender(db, parcel, reason);
+  if (error) return err(error, 409);
+
+  await recordAction(db, operator, "parcel.return", trackingCode, {
+    from: parcel.status,
+    returnCode,
+    reason,
+  });
+  await notifyStatus(db, trackingCode);
+  console.log(
+    `[admin-parcels] ${operator.email} returned ${trackingCode} as ${returnCode}`,
+  );
+  return ok({
+    success: true,
+    returnTrackingCode: returnCode,
+    parcel: adminView(await findParcel(db, trackingCode)),
+  });
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+async function exportJourney(db, trackingCode, format) {
+  const type = String(format || "").toLowerCase();
+  if (!FORMATS[type])
+    return err(
+      `Unknown format "${format || ""}" (expected ${Object.keys(FORMATS).join(", ")})`,
+    );
+
+  const parcel = await findParcel(db, trackingCode);
+  if (!parcel) return err("Parcel not found", 404);
+
+  const { events } = await listEvents(db, [trackingCode]);
+  return exportResponse(journeyFor(parcel, events, { detailed: true }), type, {
+    ...CORS_HEADERS,
+    "Cache-Control": "private, no-store",
+  });
+}
+
+// ─── Email preview ────────────────────────────────────────────────────────────
+const PREVIEW_TYPES = {
+  html: "text/html; charset=utf-8",
+  text: "text/plain; charset=utf-8",
+};
+
+async function previewEmail(event, db, trackingCode, name) {
+  const parcel = await findParcel(db, trackingCode);
+  if (!parcel) return err("Parcel not found", 404);
+  const templates = listTemplates();
+  if (!name) return ok({ templates });
+
+  const template = decodeURIComponent(name);
+  if (!templates.some((t) => t.name === template))
+    return err(`Unknown email template "${template}"`, 404);
+
+  const query = event.queryStringParameters || {};
+  const format = query.format || "json";
+  if (format !== "json" && !PREVIEW_TYPES[format])
+    return err('format must be "json", "html" or "text"');
+  if (query.status && !isException(query.status))
+    return err(
+      `status must be one of: ${Object.keys(EXCEPTION_STATUSES).join(", ")}`,
+    );
+
+  const previewed = query.status
+    ? {
+        ...parcel,
+        status: query.status,
+        exception_reason: parcel.exception_reason || "(reason given here)",
+      }
+    : parcel;
+
+  // As the receiver would get it; subscription_confirm as if they had
+  // asked for every kind of update
+  const email = renderEmail(
+    template,
+    emailContext(previewed, {
+      unsubscribeUrl: unsubscribeUrl(trackingCode, RECEIVER),
+      confirmUrl: confirmUrl(
+        trackingCode,
+        parcel.receiver_email,
+        Object.keys(EVENT_TYPES),
+      ),
+      events: Object.values(EVENT_TYPES),
+    }),
+  );
+  if (format === "json") return ok(email);
+  return {
+    statusCode: 200,
+    headers: {
+      ...CORS_HEADERS,
+      "Content-Type": PREVIEW_TYPES[format],
+      "Cache-Control": "private, no-store",
+    },
+    body: email[format],
+  };
+}
+
+// ─── Email history ────────────────────────────────────────────────────────────
+async function listEmails(db, trackingCode) {
+  const parcel = await findParcel(db, trackingCode);
+  if (!parcel) return err("Parcel not found", 404);
+  return ok({ emails: await emailHistory(db, trackingCode) });
+}
+
+async function resend(db, operator, trackingCode, id) {
+  const emails = await emailHistory(db, trackingCode);
+  const email = emails.find((e) => e.id === id);
+  if (!email) return err("Email not found", 404);
+
+  const copy = await resendEmail(db, id);
+  if (!copy) return err("That email is still being sent", 409);
+
+  await recordAction(db, operator, "parcel.email.resend", trackingCode, {
+    emailId: id,
+    resendId: copy,
+    recipient: email.recipient,
+  });
+  return ok({ success: true, emails: await emailHistory(db, trackingCode) });
+}
@@ -0,0 +1,70 @@
+// netlify/functions/api-keys.js
+// Manage API keys for scripts that call the parcel functions.
+//   GET    /api/admin/api-keys         → keys of the signed-in operator
+//   POST   /api/admin/api-keys         { name } → creates a key (shown once)
+//   DELETE /api/admin/api-keys/:id     → revokes a key
+// Called via the redirect in netlify.toml:
+//   /api/admin/api-keys/*  →  /.netlify/functions/api-keys/:splat
+
+const { initDb, ok, err, CORS_HEADERS } = require("./_db");
+const { requireOperator, createApiKey, recordAction } = require("./_auth");
+
+exports.handler = async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: CORS_HEADERS, body: "" };
+  }
+
+  const segments = (event.path || "").split("/").filter(Boolean);
+  const last = segments[segments.length - 1];
+  const keyId = last && last !== "api-keys" ? last : null;
+
+  try {
+    const db = await initDb();
+    const { operator, denied } = await requireOperator(event, db);
+    if (denied) return denied;
+
+    if (event.httpMethod === "GET" && !keyId) {
+      const result = await db.execute({
+        sql: `SELECT id, name, key_prefix, created_at, last_used_at, revoked_at
+              FROM api_keys WHERE operator_id = ? ORDER BY created_at DESC`,
+        args: [operator.id],
+      });
+      return ok({ keys: result.rows });
+    }
+
+    if (event.httpMethod === "POST" && !keyId) {
+      let body;
+      try {
+        body = JSON.parse(event.body || "{}");
+      } catch {
+        return err("Invalid JSON body", 400);
+      }
+      const name = String(body.name || "").trim();
+      if (!name) return err("name is required");
+
+      const key = await createApiKey(db, operator.id, name);
+      await recordAction(db, operator, "api_key.create", null, {
+        keyId: key.id,
+        name,
+      });
+      return ok(key, 201);
+    }
+
+    if (event.httpMethod === "DELETE" && keyId) {
+      const result = await db.execute({
+        sql: `UPDATE api_keys SET revoked_at = datetime('now')
+              WHERE id = ? AND operator_id = ? AND revoked_at IS NULL`,
+        args: [keyId, operator.id],
+      });
+      if (!result.rowsAffected) return err("API key not found", 404);
+
+      await recordAction(db, operator, "api_key.revoke", null, { keyId });
+      return ok({ success: true });
+    }
+
+    return err("Method not allowed", 405);
+  } catch (e) {
+    console.error("[api-keys]", e);
+    return err("Failed to manage API keys", 500);
+  }
+};
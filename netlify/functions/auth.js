@@ -0,0 +1,82 @@
+// netlify/functions/auth.js
+// Operator login for the admz console.
+//   POST /api/auth/login   { email, password }  → sets the session cookie
+//   POST /api/auth/logout                        → clears it
+//   GET  /api/auth/me                            → the signed-in operator
+// Called via the redirect in netlify.toml:
+//   /api/auth/*  →  /.netlify/functions/auth/:splat
+
+const { initDb, ok, err, CORS_HEADERS } = require("./_db");
+const {
+  SESSION_COOKIE,
+  findOperatorByCredentials,
+  createSession,
+  destroySession,
+  sessionCookie,
+  clearedSessionCookie,
+  readCookie,
+  authenticate,
+} = require("./_auth");
+
+exports.handler = async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: CORS_HEADERS, body: "" };
+  }
+
+  const segments = (event.path || "").split("/").filter(Boolean);
+  const action = segments[segments.length - 1];
+
+  try {
+    const db = await initDb();
+
+    if (action === "login" && event.httpMethod === "POST") {
+      let body;
+      try {
+        body = JSON.parse(event.body || "{}");
+      } catch {
+        return err("Invalid JSON body", 400);
+      }
+
+      const { email, password } = body;
+      if (!email || !password) return err("email and password are required");
+
+      const operator = await findOperatorByCredentials(db, email, password);
+      if (!operator) return err("Invalid email or password", 401);
+
+      const { token, expiresAt } = await createSession(db, operator.id);
+      console.log(`[auth] ${operator.email} signed in`);
+
+      return ok(
+        {
+          operator: {
+            id: operator.id,
+            email: operator.email,
+            name: operator.name,
+          },
+          expiresAt: expiresAt.toISOString(),
+        },
+        200,
+        { "Set-Cookie": sessionCookie(token, expiresAt) },
+      );
+    }
+
+    if (action === "logout" && event.httpMethod === "POST") {
+      const token = readCookie(event, SESSION_COOKIE);
+      if (token) await destroySession(db, token);
+      return ok({ success: true }, 200, {
+        "Set-Cookie": clearedSessionCookie(),
+      });
+    }
+
+    if (action === "me" && event.httpMethod === "GET") {
+      const operator = await authenticate(event, db);
+      if (!operator) return err("Authentication required", 401);
+      return ok({ operator });
+    }
+
+    return err("Not found", 404);
+  } catch (e) {
+    console.error("[auth]", e);
+    return err("Authentication failed. Please try again.", 500);
+  }
+};
@@ -5,20 +5,12 @@
 
 const { v4: uuidv4 } = require("uuid");
 const { initDb, ok, err, CORS_HEADERS } = require("./_db");
-const { geocodeAddress, getRoute } = require("./_routing");
-const nodemailer  = require("nodemailer");
-const { Resend } = require('resend');
-const resend = new Resend(process.env.RESEND_API_KEY);
-
-function generateTrackingCode() {
-  const chars = "ABCDEFGHJKLMNPQRSTUVWXYZ1234567890";
-  let seg = () =>
-    Array.from(
-      { length: 3 },
-      () => chars[Math.floor(Math.random() * chars.length)],
-    ).join("");
-  return `CRX-${seg()}-${seg()}-${seg()}`;
-}
+const { requireOperator, recordAction } = require("./_auth");
+const { geocodeAddress } = require("./_routing");
+const { prefixes, withUniqueCode } = require("./_codes");
+const { TRANSPORT_MODES, planJourney } = require("./_journey");
+const { notifyStatus } = require("./_notify");
+const { normalisePhone } = require("./_sms");
 
 exports.handler = async (event) => {
   // Handle CORS preflight
@@ -30,6 +22,18 @@ exports.handler = async (event) => {
     return err("Method not allowed", 405);
   }
 
+  let db, operator;
+  try {
+    db = await initDb();
+    // Only signed-in operators (admz session or API key) may register parcels
+    const auth = await requireOperator(event, db);
+    if (auth.denied) return auth.denied;
+    operator = auth.operator;
+  } catch (e) {
+    console.error("[create-parcel]", e);
+    return err("Failed to create parcel. Please try again.", 500);
+  }
+
   let body;
   try {
     body = JSON.parse(event.body || "{}");
@@ -43,10 +47,13 @@ exports.handler = async (event) => {
     senderAddress,
     receiverName,
     receiverEmail,
+    receiverPhone,
     receiverAddress,
     parcelDescription,
     deliveryFromAddress,
     daysToDeliver,
+    transportMode = "road",
+    codePrefix,
   } = body;
 
   // Validate required fields
@@ -70,9 +77,23 @@ exports.handler = async (event) => {
   if (isNaN(days) || days < 1 || days > 30)
     return err("daysToDeliver must be between 1 and 30");
 
+  // Optional; the receiver gets texts as well as email when given
+  const phone = receiverPhone ? normalisePhone(receiverPhone) : null;
+  if (receiverPhone && !phone)
+    return err(
+      "receiverPhone must be in international format, e.g. +2348012345678",
+    );
+
+  if (!TRANSPORT_MODES.includes(transportMode))
+    return err(`transportMode must be one of: ${TRANSPORT_MODES.join(", ")}`);
+
+  // Tracking code prefix, e.g. per service or per customer; one of
+  // TRACKING_CODE_FORMATS (see _codes.js), the default if left out
+  const prefix = codePrefix ? String(codePrefix).trim().toUpperCase() : null;
+  if (prefix && !prefixes().includes(prefix))
+    return err(`codePrefix must be one of: ${prefixes().join(", ")}`);
+
   try {
-    const db = await initDb();
-    const trackingCode = generateTrackingCode();
     const id = uuidv4();
 
     // Geocode both addresses in parallel
@@ -86,15 +107,21 @@ exports.handler = async (event) => {
     let destLat = null,
       destLng = null;
     let routePointsJson = null;
+    let routeLegsJson = null;
     let routeAvailable = false;
 
     if (originGeo && destGeo) {
       ({ lat: originLat, lng: originLng } = originGeo);
       ({ lat: destLat, lng: destLng } = destGeo);
 
-      const routeData = await getRoute(originLat, originLng, destLat, destLng);
-      if (routeData) {
-        routePointsJson = JSON.stringify(routeData.points);
+      const journey = await planJourney(
+        { ...originGeo, name: deliveryFromAddress },
+        { ...destGeo, name: receiverAddress },
+        transportMode,
+      );
+      if (journey) {
+        routePointsJson = JSON.stringify(journey.points);
+        routeLegsJson = JSON.stringify(journey.legs);
         routeAvailable = true;
       }
     }
@@ -102,40 +129,49 @@ exports.handler = async (event) => {
     const estimatedDelivery = new Date();
     estimatedDelivery.setDate(estimatedDelivery.getDate() + days);
 
-    await db.execute({
-      sql: `INSERT INTO parcels
-              (id, tracking_code, sender_name, sender_email, sender_address,
-               receiver_name, receiver_email, receiver_address, parcel_description,
-               delivery_from_address, days_to_deliver, status,
-               current_lat, current_lng, current_location_name,
-               origin_lat, origin_lng, destination_lat, destination_lng,
-               route_points, route_progress, estimated_delivery)
-            VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
-      args: [
-        id,
-        trackingCode,
-        senderName,
-        senderEmail || null,
-        senderAddress,
-        receiverName,
-        receiverEmail,
-        receiverAddress,
-        parcelDescription,
-        deliveryFromAddress,
-        days,
-        "pending",
-        originLat,
-        originLng,
-        "Awaiting Pickup",
-        originLat,
-        originLng,
-        destLat,
-        destLng,
-        routePointsJson,
-        0,
-        estimatedDelivery.toISOString(),
-      ],
-    });
+    // A clash with an existing code is retried with a fresh one
+    const trackingCode = await withUniqueCode(
+      (trackingCode) =>
+        db.execute({
+          sql: `INSERT INTO parcels
+                  (id, tracking_code, sender_name, sender_email, sender_address,
+                   receiver_name, receiver_email, receiver_phone, receiver_address,
+                   parcel_description, delivery_from_address, days_to_deliver, status,
+                   current_lat, current_lng, current_location_name,
+                   origin_lat, origin_lng, destination_lat, destination_lng,
+                   route_points, route_progress, estimated_delivery,
+                   transport_mode, route_legs)
+                VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?,?)`,
+          args: [
+            id,
+            trackingCode,
+            senderName,
+            senderEmail || null,
+            senderAddress,
+            receiverName,
+            receiverEmail,
+            phone,
+            receiverAddress,
+            parcelDescription,
+            deliveryFromAddress,
+            days,
+            "pending",
+            originLat,
+            originLng,
+            "Awaiting Pickup",
+            originLat,
+            originLng,
+            destLat,
+            destLng,
+            routePointsJson,
+            0,
+            estimatedDelivery.toISOString(),
+            transportMode,
+            routeLegsJson,
+          ],
+        }),
+      prefix,
+    );
 
     await db.execute({
       sql: `INSERT INTO tracking_events
@@ -152,43 +188,16 @@ exports.handler = async (event) => {
       ],
     });
 
-    const transporter = nodemailer.createTransport({
-      host: process.env.SMTP_HOST,
-      port: parseInt(process.env.SMTP_PORT) || 465,
-      secure: true,
-      auth: {
-        user: process.env.SMTP_USER,
-        pass: process.env.SMTP_PASS,
-      },
+    await recordAction(db, operator, "parcel.create", trackingCode, {
+      receiverEmail,
+      deliveryFromAddress,
+      receiverAddress,
+      daysToDeliver: days,
+      transportMode,
     });
 
-    try {
-    await resend.emails.send({
-      from: `"SwiftPulse Courier" <${process.env.SMTP_USER}>`,
-      to: receiverEmail,
-      subject: `Your parcel is on its way — ${trackingCode}`,
-      html: `
-    <div style="font-family:sans-serif;max-width:560px;margin:0 auto;">
-      <h2 style="color:#F59E0B;">📦 Parcel Incoming, ${receiverName}!</h2>
-      <p>A parcel has been sent to you and is now registered in our system.</p>
-      <table style="width:100%;border-collapse:collapse;margin:20px 0;">
-        <tr><td style="padding:8px;color:#888;width:160px;">Tracking Code</td><td style="padding:8px;font-weight:bold;letter-spacing:0.1em;">${trackingCode}</td></tr>
-        <tr style="background:#f9f9f9;"><td style="padding:8px;color:#888;">Description</td><td style="padding:8px;">${parcelDescription}</td></tr>
-        <tr><td style="padding:8px;color:#888;">From</td><td style="padding:8px;">${senderName}</td></tr>
-        <tr style="background:#f9f9f9;"><td style="padding:8px;color:#888;">Delivery To</td><td style="padding:8px;">${receiverAddress}</td></tr>
-        <tr><td style="padding:8px;color:#888;">Est. Delivery</td><td style="padding:8px;">${estimatedDelivery.toDateString()}</td></tr>
-      </table>
-      <a href="${process.env.SITE_URL}/track/${trackingCode}"
-         style="display:inline-block;background:#F59E0B;color:#000;padding:12px 24px;text-decoration:none;font-weight:bold;border-radius:4px;">
-        Track Your Parcel
-      </a>
-      <p style="color:#aaa;font-size:12px;margin-top:32px;">SwiftPulse Courier · Powered by CRX</p>
-    </div>
-  `,
-    });
-    } catch (emailErr) {
-  console.error('[email] Failed (non-fatal):', emailErr.message);
-}
+    // The receiver's "on its way" email and text (see _notify.js)
+    await notifyStatus(db, trackingCode);
 
     return ok(
       {
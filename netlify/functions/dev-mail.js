@@ -0,0 +1,107 @@
+// netlify/functions/dev-mail.js
+// Handles GET /dev/mail and GET /dev/mail/:id
+// The dev inbox: email captured by MAIL_PROVIDER=capture (see _mail.js),
+// newest first, each shown as its HTML and plain-text parts. Only exists
+// while capture is one of the providers, and only for operators.
+//   ?format=json → the messages as JSON instead of the page
+// Called via the redirects in netlify.toml:
+//   /dev/mail    →  /.netlify/functions/dev-mail
+//   /dev/mail/*  →  /.netlify/functions/dev-mail/:splat
+
+const { initDb, ok, err } = require("./_db");
+const { requireOperator } = require("./_auth");
+const { capturing, capture } = require("./_mail");
+const { escapeHtml } = require("./_templates");
+
+const PAGE_SIZE = 50;
+
+// ─── Page ─────────────────────────────────────────────────────────────────────
+function page(messages, selected) {
+  const item = (m) => `
+      <a class="item${selected && m.id === selected.id ? " active" : ""}" href="/dev/mail/${escapeHtml(m.id)}">
+        <div class="subject">${escapeHtml(m.subject || "(no subject)")}</div>
+        <div class="meta">${escapeHtml(m.to)} · ${escapeHtml(m.capturedAt)}</div>
+      </a>`;
+
+  const message = selected
+    ? `
+      <h2>${escapeHtml(selected.subject || "(no subject)")}</h2>
+      <div class="meta">From ${escapeHtml(selected.from)} · To ${escapeHtml(selected.to)} · ${escapeHtml(selected.capturedAt)}</div>
+      ${Object.entries(selected.headers || {})
+        .map(
+          ([name, value]) =>
+            `<div class="meta">${escapeHtml(name)}: ${escapeHtml(value)}</div>`,
+        )
+        .join("")}
+      <h3>HTML</h3>
+      <iframe sandbox srcdoc="${escapeHtml(selected.html || "")}"></iframe>
+      <h3>PLAIN TEXT</h3>
+      <pre>${escapeHtml(selected.text || "")}</pre>`
+    : `<p class="meta">${messages.length ? "Pick a message." : "Nothing captured yet."}</p>`;
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Dev inbox | Swift Pulse</title>
+    <style>
+      body { margin: 0; display: flex; min-height: 100vh; background: #0a0a0a; color: #e5e5e5; font-family: sans-serif; }
+      nav { width: 340px; border-right: 1px solid #1f1f1f; overflow-y: auto; }
+      nav h1 { margin: 0; padding: 1rem; font-size: 1rem; letter-spacing: 0.15em; color: #f59e0b; }
+      main { flex: 1; padding: 1.5rem; }
+      .item { display: block; padding: 0.75rem 1rem; border-top: 1px solid #1f1f1f; color: inherit; text-decoration: none; }
+      .item.active, .item:hover { background: #141414; }
+      .subject { font-size: 0.9rem; }
+      .meta { font-family: monospace; font-size: 0.7rem; color: #888; margin-top: 0.25rem; }
+      h3 { font-size: 0.8rem; letter-spacing: 0.15em; color: #888; margin-top: 1.5rem; }
+      iframe { width: 100%; height: 480px; border: 1px solid #1f1f1f; background: #fff; }
+      pre { white-space: pre-wrap; background: #0d0d0d; border: 1px solid #1f1f1f; padding: 1rem; }
+    </style>
+  </head>
+  <body>
+    <nav>
+      <h1>DEV INBOX</h1>
+      ${messages.map(item).join("")}
+    </nav>
+    <main>${message}
+    </main>
+  </body>
+</html>`;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== "GET") return err("Method not allowed", 405);
+
+  try {
+    if (!capturing())
+      return err("The dev inbox needs MAIL_PROVIDER=capture", 404);
+
+    const db = await initDb();
+    const { denied } = await requireOperator(event, db);
+    if (denied) return denied;
+
+    // event.path: /.netlify/functions/dev-mail/<id> or /dev/mail/<id>
+    const segments = (event.path || "").split("/").filter(Boolean);
+    const last = segments[segments.length - 1];
+    const id = last === "mail" || last === "dev-mail" ? null : last;
+
+    const messages = await capture.list(PAGE_SIZE);
+    const selected = id ? await capture.read(id) : null;
+    if (id && !selected) return err("Message not found", 404);
+
+    if ((event.queryStringParameters || {}).format === "json")
+      return ok(selected || { messages });
+
+    return {
+      statusCode: 200,
+      headers: {
+        "Content-Type": "text/html; charset=utf-8",
+        "Cache-Control": "no-store",
+      },
+      body: page(messages, selected || messages[0]),
+    };
+  } catch (e) {
+    console.error("[dev-mail]", e);
+    return err("Failed to load the dev inbox", 500);
+  }
+};
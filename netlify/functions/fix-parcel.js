@@ -5,74 +5,102 @@
 // DELETE THIS FILE once your parcels are all working.
 
 const { initDb, ok, err, CORS_HEADERS } = require("./_db");
-const { geocodeAddress, getRoute } = require("./_routing");
+const { requireOperator, recordAction } = require("./_auth");
+const { geocodeAddress } = require("./_routing");
+const { planJourney } = require("./_journey");
 
 exports.handler = async (event) => {
   if (event.httpMethod === "OPTIONS")
     return { statusCode: 204, headers: CORS_HEADERS, body: "" };
   if (event.httpMethod !== "POST") return err("POST only", 405);
 
-  const { trackingCode } = JSON.parse(event.body || "{}");
+  let db, operator;
+  try {
+    db = await initDb();
+    const auth = await requireOperator(event, db);
+    if (auth.denied) return auth.denied;
+    operator = auth.operator;
+  } catch (e) {
+    console.error("[fix-parcel]", e);
+    return err("Failed to fix parcel", 500);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return err("Invalid JSON body", 400);
+  }
+
+  const { trackingCode } = body;
   if (!trackingCode) return err("trackingCode required");
 
-  const db = await initDb();
+  try {
+    const result = await db.execute({
+      sql: "SELECT * FROM parcels WHERE tracking_code = ?",
+      args: [trackingCode.toUpperCase()],
+    });
 
-  const result = await db.execute({
-    sql: "SELECT * FROM parcels WHERE tracking_code = ?",
-    args: [trackingCode.toUpperCase()],
-  });
+    if (!result.rows.length) return err("Parcel not found", 404);
+    const parcel = result.rows[0];
 
-  if (!result.rows.length) return err("Parcel not found", 404);
-  const parcel = result.rows[0];
+    console.log(`[fix-parcel] Geocoding for ${trackingCode}`);
+    const [originGeo, destGeo] = await Promise.all([
+      geocodeAddress(parcel.delivery_from_address),
+      geocodeAddress(parcel.receiver_address),
+    ]);
 
-  console.log(`[fix-parcel] Geocoding for ${trackingCode}`);
-  const [originGeo, destGeo] = await Promise.all([
-    geocodeAddress(parcel.delivery_from_address),
-    geocodeAddress(parcel.receiver_address),
-  ]);
+    if (!originGeo || !destGeo) {
+      return err(
+        `Geocoding failed. origin=${JSON.stringify(originGeo)} dest=${JSON.stringify(destGeo)}`,
+        500,
+      );
+    }
 
-  if (!originGeo || !destGeo) {
-    return err(
-      `Geocoding failed. origin=${JSON.stringify(originGeo)} dest=${JSON.stringify(destGeo)}`,
-      500,
+    const routeData = await planJourney(
+      { ...originGeo, name: parcel.delivery_from_address },
+      { ...destGeo, name: parcel.receiver_address },
+      parcel.transport_mode || "road",
     );
-  }
+    if (!routeData) return err("Routing failed", 500);
 
-  const routeData = await getRoute(
-    originGeo.lat,
-    originGeo.lng,
-    destGeo.lat,
-    destGeo.lng,
-  );
-  if (!routeData) return err("Routing failed", 500);
+    await db.execute({
+      sql: `UPDATE parcels SET
+              origin_lat = ?, origin_lng = ?,
+              destination_lat = ?, destination_lng = ?,
+              current_lat = ?, current_lng = ?,
+              current_location_name = 'Awaiting Pickup',
+              route_points = ?, route_legs = ?, route_progress = 0,
+              milestones_passed = 0, status = 'pending'
+            WHERE tracking_code = ?`,
+      args: [
+        originGeo.lat,
+        originGeo.lng,
+        destGeo.lat,
+        destGeo.lng,
+        originGeo.lat,
+        originGeo.lng,
+        JSON.stringify(routeData.points),
+        JSON.stringify(routeData.legs),
+        trackingCode.toUpperCase(),
+      ],
+    });
 
-  await db.execute({
-    sql: `UPDATE parcels SET
-            origin_lat = ?, origin_lng = ?,
-            destination_lat = ?, destination_lng = ?,
-            current_lat = ?, current_lng = ?,
-            current_location_name = 'Awaiting Pickup',
-            route_points = ?, route_progress = 0,
-            status = 'pending'
-          WHERE tracking_code = ?`,
-    args: [
-      originGeo.lat,
-      originGeo.lng,
-      destGeo.lat,
-      destGeo.lng,
-      originGeo.lat,
-      originGeo.lng,
-      JSON.stringify(routeData.points),
-      trackingCode.toUpperCase(),
-    ],
-  });
+    await recordAction(db, operator, "parcel.fix", trackingCode.toUpperCase(), {
+      origin: originGeo,
+      destination: destGeo,
+    });
 
-  return ok({
-    success: true,
-    trackingCode,
-    origin: originGeo,
-    destination: destGeo,
-    routePoints: routeData.points.length,
-    distanceKm: Math.round(routeData.distanceMeters / 1000),
-  });
+    return ok({
+      success: true,
+      trackingCode,
+      origin: originGeo,
+      destination: destGeo,
+      routePoints: routeData.points.length,
+      distanceKm: Math.round(routeData.distanceMeters / 1000),
+    });
+  } catch (e) {
+    console.error("[fix-parcel]", e);
+    return err("Failed to fix parcel", 500);
+  }
 };
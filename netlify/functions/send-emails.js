@@ -0,0 +1,22 @@
+// netlify/functions/send-emails.js
+// Scheduled — runs every 5 minutes via cron: "*/5 * * * *" in netlify.toml
+// Delivers the email and texts queued in email_outbox that are due,
+// retrying failures with backoff (see _outbox.js).
+
+const { initDb } = require("./_db");
+const { deliverDue } = require("./_outbox");
+
+exports.handler = async () => {
+  try {
+    const db = await initDb();
+    const counts = await deliverDue(db);
+    if (counts.sent || counts.retrying || counts.failed)
+      console.log(
+        `[send-emails] Sent ${counts.sent}, retrying ${counts.retrying}, failed ${counts.failed}`,
+      );
+    return { statusCode: 200, body: JSON.stringify(counts) };
+  } catch (e) {
+    console.error("[send-emails] Fatal error:", e);
+    return { statusCode: 500, body: JSON.stringify({ error: e.message }) };
+  }
+};
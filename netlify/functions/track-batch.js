@@ -0,0 +1,110 @@
+// netlify/functions/track-batch.js
+// Handles POST /api/track/batch  { codes: ["CRX-...", ...] }
+// Up to 50 codes at once (an array, or one string separated by commas or
+// new lines). Returns a compact summary per code, in the order asked for:
+//   { trackingCode, found: true, status, currentLocationName,
+//     progressPercent, estimatedDelivery, lastUpdated, returnTrackingCode }
+//   { trackingCode, found: false }
+// Locations are the public tier's city-level names (see _privacy.js).
+// Called via the redirect in netlify.toml (listed before /api/track/:code):
+//   /api/track/batch  →  /.netlify/functions/track-batch
+
+const { initDb, ok, err, CORS_HEADERS } = require("./_db");
+const { restrictOrigins } = require("./_cors");
+const { progressPercent } = require("./_parcels");
+const { parseLegs } = require("./_journey");
+const { coarsePlace } = require("./_privacy");
+const { parseTrackingCode } = require("./_codes");
+
+const MAX_CODES = 50;
+
+// Codes are tidied up as for a single lookup (see _codes.js): O → 0 etc.
+function parseCodes(input) {
+  const list = Array.isArray(input)
+    ? input
+    : String(input || "").split(/[\s,]+/);
+  return [
+    ...new Set(
+      list
+        .map((c) => String(c).trim().toUpperCase())
+        .filter(Boolean)
+        .map((c) => parseTrackingCode(c)?.code || c),
+    ),
+  ];
+}
+
+// json_array_length keeps the routes themselves out of the query
+async function fetchParcels(db, codes) {
+  if (!codes.length) return new Map();
+  const result = await db.execute({
+    sql: `SELECT tracking_code, status, current_location_name, route_progress,
+                 route_legs, json_array_length(route_points) AS total_points,
+                 estimated_delivery, last_updated, return_tracking_code
+          FROM parcels
+          WHERE tracking_code IN (${codes.map(() => "?").join(", ")})`,
+    args: codes,
+  });
+  return new Map(result.rows.map((p) => [p.tracking_code, p]));
+}
+
+function summary(parcel, returnLeg) {
+  // While a return leg is running, the parcel is wherever that leg is
+  const where = returnLeg || parcel;
+  return {
+    trackingCode: parcel.tracking_code,
+    found: true,
+    status: parcel.status,
+    currentLocationName: coarsePlace(where.current_location_name),
+    progressPercent: progressPercent(
+      parcel.route_progress,
+      parcel.total_points,
+      parseLegs(parcel.route_legs),
+    ),
+    estimatedDelivery: where.estimated_delivery,
+    lastUpdated: where.last_updated,
+    returnTrackingCode: parcel.return_tracking_code || null,
+  };
+}
+
+exports.handler = restrictOrigins(async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: CORS_HEADERS, body: "" };
+  }
+
+  if (event.httpMethod !== "POST") {
+    return err("Method not allowed", 405);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return err("Invalid JSON body", 400);
+  }
+
+  const codes = parseCodes(body.codes);
+  if (!codes.length) return err("codes is required");
+  if (codes.length > MAX_CODES)
+    return err(`At most ${MAX_CODES} codes per request (got ${codes.length})`);
+
+  try {
+    const db = await initDb();
+
+    const parcels = await fetchParcels(db, codes);
+    const returnLegs = await fetchParcels(
+      db,
+      [...parcels.values()].map((p) => p.return_tracking_code).filter(Boolean),
+    );
+
+    return ok({
+      results: codes.map((code) => {
+        const parcel = parcels.get(code);
+        if (!parcel) return { trackingCode: code, found: false };
+        return summary(parcel, returnLegs.get(parcel.return_tracking_code));
+      }),
+    });
+  } catch (e) {
+    console.error("[track-batch]", e);
+    return err("Failed to fetch tracking info", 500);
+  }
+});
@@ -0,0 +1,138 @@
+// netlify/functions/track-events.js
+// Handles GET /api/track/:code/events
+// A parcel's whole tracking history (its return leg's too), newest first.
+//   ?before=<cursor>&limit=50   one page: { events, nextCursor }
+//                               start from olderEventsCursor in
+//                               GET /api/track/:code; nextCursor is null
+//                               on the last page
+//   ?format=csv | json          everything, as a file download
+// Same privacy tiers as GET /api/track/:code (see _privacy.js).
+// Called via the redirect in netlify.toml (listed before /api/track/:code):
+//   /api/track/:code/events  →  /.netlify/functions/track-events/:code
+
+const { initDb, ok, err, CORS_HEADERS } = require("./_db");
+const { restrictOrigins } = require("./_cors");
+const { parseTrackingCode } = require("./_codes");
+const { findParcel, listEvents } = require("./_parcels");
+const { isVerified, publicEvent } = require("./_privacy");
+const { CACHE_HEADERS, PRIVATE_CACHE_HEADERS } = require("./_cache");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const CSV_COLUMNS = [
+  "timestamp",
+  "tracking_code",
+  "event_type",
+  "description",
+  "location_name",
+  "lat",
+  "lng",
+];
+
+// Text starting with = + - @ gets a leading ' so spreadsheet apps
+// don't run it as a formula
+function csvCell(value) {
+  if (value == null) return "";
+  let s = String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(events) {
+  return [
+    CSV_COLUMNS.join(","),
+    ...events.map((ev) => CSV_COLUMNS.map((c) => csvCell(ev[c])).join(",")),
+  ].join("\r\n");
+}
+
+exports.handler = restrictOrigins(async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: CORS_HEADERS, body: "" };
+  }
+
+  if (event.httpMethod !== "GET") {
+    return err("Method not allowed", 405);
+  }
+
+  // event.path: /.netlify/functions/track-events/CRX-ABC-DEF-GHI
+  // or /api/track/CRX-ABC-DEF-GHI/events (before rewrite)
+  const segments = (event.path || "")
+    .split("/")
+    .filter((s) => s && s !== "events");
+  const parsed = parseTrackingCode(segments[segments.length - 1]);
+
+  if (!parsed || !parsed.valid) {
+    return err("Invalid or missing tracking code", 400);
+  }
+  const { code } = parsed;
+
+  const params = event.queryStringParameters || {};
+  const format = params.format ? String(params.format).toLowerCase() : null;
+  if (format && !["csv", "json"].includes(format)) {
+    return err(`Unknown format "${params.format}" (expected csv or json)`);
+  }
+
+  const before = params.before ? parseInt(params.before, 10) : null;
+  if (params.before && !(before > 0)) return err("Invalid cursor");
+
+  const limit = params.limit ? parseInt(params.limit, 10) : DEFAULT_LIMIT;
+  if (!(limit > 0)) return err("limit must be a positive number");
+
+  try {
+    const db = await initDb();
+
+    const parcel = await findParcel(db, code);
+    if (!parcel) return err("Tracking code not found", 404);
+
+    const leg = parcel.return_tracking_code
+      ? await findParcel(db, parcel.return_tracking_code)
+      : null;
+    const parcels = new Map(
+      (leg ? [parcel, leg] : [parcel]).map((p) => [p.tracking_code, p]),
+    );
+
+    const detailed = isVerified(event, code);
+    const page = await listEvents(
+      db,
+      [...parcels.keys()],
+      format ? {} : { before, limit: Math.min(limit, MAX_LIMIT) },
+    );
+    const events = detailed
+      ? page.events
+      : page.events.map((ev) => publicEvent(ev, parcels.get(ev.tracking_code)));
+
+    const headers = detailed ? PRIVATE_CACHE_HEADERS : CACHE_HEADERS;
+
+    if (!format) {
+      return ok({ events, nextCursor: page.nextCursor }, 200, headers);
+    }
+
+    const filename = `${code}-events.${format}`;
+    return {
+      statusCode: 200,
+      headers: {
+        ...CORS_HEADERS,
+        ...headers,
+        "Content-Type":
+          format === "csv" ? "text/csv; charset=utf-8" : "application/json",
+        "Content-Disposition": `attachment; filename="${filename}"`,
+      },
+      body:
+        format === "csv"
+          ? toCsv(events)
+          : JSON.stringify(
+              {
+                trackingCode: code,
+                exportedAt: new Date().toISOString(),
+                events,
+              },
+              null,
+              2,
+            ),
+    };
+  } catch (e) {
+    console.error("[track-events]", e);
+    return err("Failed to fetch tracking history", 500);
+  }
+});
@@ -0,0 +1,62 @@
+// netlify/functions/track-export.js
+// Handles GET /api/track/:code/export/:format   (geojson | gpx | kml)
+// The parcel's planned route, the path it has travelled and its origin,
+// destination and current position, as a file for GIS tools (see
+// _geoexport.js). Same privacy tiers as GET /api/track/:code (see
+// _privacy.js); operators get the detailed tier from
+// GET /api/admin/parcels/:code/export/:format instead.
+// Called via the redirect in netlify.toml (listed before /api/track/:code):
+//   /api/track/:code/export/:format  →  /.netlify/functions/track-export/:code/:format
+
+const { initDb, err, CORS_HEADERS } = require("./_db");
+const { restrictOrigins } = require("./_cors");
+const { parseTrackingCode } = require("./_codes");
+const { findParcel, listEvents } = require("./_parcels");
+const { isVerified } = require("./_privacy");
+const { CACHE_HEADERS, PRIVATE_CACHE_HEADERS } = require("./_cache");
+const { FORMATS, journeyFor, exportResponse } = require("./_geoexport");
+
+exports.handler = restrictOrigins(async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: CORS_HEADERS, body: "" };
+  }
+
+  if (event.httpMethod !== "GET") {
+    return err("Method not allowed", 405);
+  }
+
+  // event.path: /.netlify/functions/track-export/CRX-ABC-DEF-GHJN/gpx
+  // or /api/track/CRX-ABC-DEF-GHJN/export/gpx (before rewrite)
+  const segments = (event.path || "")
+    .split("/")
+    .filter((s) => s && s !== "export");
+  const format = String(segments[segments.length - 1] || "").toLowerCase();
+  const parsed = parseTrackingCode(segments[segments.length - 2]);
+
+  if (!parsed || !parsed.valid) {
+    return err("Invalid or missing tracking code", 400);
+  }
+  if (!FORMATS[format]) {
+    return err(
+      `Unknown format "${format}" (expected ${Object.keys(FORMATS).join(", ")})`,
+    );
+  }
+  const { code } = parsed;
+
+  try {
+    const db = await initDb();
+
+    const parcel = await findParcel(db, code);
+    if (!parcel) return err("Tracking code not found", 404);
+
+    const detailed = isVerified(event, code);
+    const { events } = await listEvents(db, [code]);
+    return exportResponse(journeyFor(parcel, events, { detailed }), format, {
+      ...CORS_HEADERS,
+      ...(detailed ? PRIVATE_CACHE_HEADERS : CACHE_HEADERS),
+    });
+  } catch (e) {
+    console.error("[track-export]", e);
+    return err("Failed to export the journey", 500);
+  }
+});
@@ -0,0 +1,260 @@
+// netlify/functions/track-page.js
+// Handles GET /track/:code
+// The track page (track/index.html) with the parcel already in it, so a
+// shared link previews in chat apps and the page works without JavaScript:
+//   <!-- tracking:meta -->      title, Open Graph and Twitter card tags
+//   <!-- tracking:noscript -->  status, progress, location, ETA and the
+//                               latest events, for browsers without JS
+//   <!-- tracking:data -->      window.__TRACKING__, the same JSON as
+//                               GET /api/track/:code, which the page's
+//                               script renders straight away (map, live
+//                               updates...) instead of fetching it again
+// Links get shared, so this is always the public tier (see _privacy.js);
+// a visitor with a verification token still gets the detailed tier from
+// the API once the page has loaded. Unknown codes get the page as it is,
+// with a 404, and it shows its own "not found".
+// Called via the redirect in netlify.toml:
+//   /track/:code  →  /.netlify/functions/track-page/:code
+// The template is bundled with the function (included_files).
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { initDb, err } = require("./_db");
+const { parseTrackingCode } = require("./_codes");
+const { statusLabel } = require("./_status");
+const { etagFor, validatorHeaders, isFresh } = require("./_cache");
+const { fetchState, loadTracking } = require("./_tracking");
+
+const NOSCRIPT_EVENTS = 10;
+
+// ─── Template ─────────────────────────────────────────────────────────────────
+let _template = null;
+
+function template() {
+  if (!_template) {
+    const candidates = [
+      path.resolve(__dirname, "../../track/index.html"),
+      path.resolve(process.cwd(), "track/index.html"),
+    ];
+    const file = candidates.find((f) => fs.existsSync(f));
+    if (!file) throw new Error("track/index.html is not bundled");
+    const html = fs.readFileSync(file, "utf8");
+    _template = {
+      html,
+      // A new deploy's page must not be answered with a 304
+      version: crypto.createHash("sha1").update(html).digest("hex"),
+    };
+  }
+  return _template;
+}
+
+function escapeHtml(value) {
+  return String(value ?? "").replace(
+    /[&<>"']/g,
+    (c) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        c
+      ],
+  );
+}
+
+// JSON inside <script>: nothing in it may close the tag
+function scriptJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+function formatDate(value, withTime = false) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) return null;
+  return date.toLocaleString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: withTime ? undefined : "numeric",
+    hour: withTime ? "2-digit" : undefined,
+    minute: withTime ? "2-digit" : undefined,
+    timeZone: "UTC",
+  });
+}
+
+function fill(html, marker, content) {
+  return html.replace(`<!-- tracking:${marker} -->`, () => content);
+}
+
+// ─── Rendering ────────────────────────────────────────────────────────────────
+// The parcel as it stands: the return leg's position and ETA while it runs
+function summary(data) {
+  const { parcel, returnLeg } = data;
+  const now = returnLeg && returnLeg.currentLat ? returnLeg : parcel;
+  return {
+    code: parcel.trackingCode,
+    status: statusLabel(parcel.status),
+    location: now.currentLocationName,
+    eta: formatDate((returnLeg || parcel).estimatedDelivery),
+    progress: (returnLeg || parcel).progressPercent || 0,
+    route: [parcel.originName, parcel.destinationName]
+      .filter(Boolean)
+      .join(" → "),
+  };
+}
+
+function metaTags(data, url, siteUrl) {
+  const s = summary(data);
+  const title = `${s.code} · ${s.status} | Swift Pulse`;
+  const description = [
+    s.status,
+    s.location && `Now: ${s.location}`,
+    s.eta && `Estimated delivery ${s.eta}`,
+    s.route,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+  const image = `${siteUrl}/assets/img/logo.png`;
+
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    `<meta name="description" content="${escapeHtml(description)}" />`,
+    `<link rel="canonical" href="${escapeHtml(url)}" />`,
+    `<meta property="og:type" content="website" />`,
+    `<meta property="og:site_name" content="Swift Pulse" />`,
+    `<meta property="og:title" content="${escapeHtml(title)}" />`,
+    `<meta property="og:description" content="${escapeHtml(description)}" />`,
+    `<meta property="og:url" content="${escapeHtml(url)}" />`,
+    `<meta property="og:image" content="${escapeHtml(image)}" />`,
+    `<meta name="twitter:card" content="summary" />`,
+    `<meta name="twitter:title" content="${escapeHtml(title)}" />`,
+    `<meta name="twitter:description" content="${escapeHtml(description)}" />`,
+    `<meta name="twitter:image" content="${escapeHtml(image)}" />`,
+  ].join("\n    ");
+}
+
+function noscriptView(data) {
+  const s = summary(data);
+  const { returnLeg } = data;
+  const events = data.events
+    .concat(
+      (returnLeg ? returnLeg.events : []).map((ev) => ({
+        ...ev,
+        returnLeg: true,
+      })),
+    )
+    .sort((a, b) => (a.timestamp < b.timestamp ? 1 : -1))
+    .slice(0, NOSCRIPT_EVENTS);
+
+  const row = (label, value) => `
+            <div class="info-row">
+              <span class="info-label">${label}</span>
+              <span class="info-value">${escapeHtml(value || "—")}</span>
+            </div>`;
+  const event = (ev, i) => `
+            <div class="event-item${i === 0 ? " latest" : ""}">
+              <div class="event-dot"></div>
+              <div style="flex:1;">
+                <div class="event-desc">${ev.returnLeg ? '<span class="leg-tag">RETURN</span>' : ""}${escapeHtml(ev.description)}</div>
+                <div style="font-family:'DM Mono',monospace; font-size:0.65rem; color:#444; margin-top:2px;">${escapeHtml(formatDate(ev.timestamp, true))} UTC · ${escapeHtml(ev.location_name || "")}</div>
+              </div>
+            </div>`;
+
+  // Tailwind is a script too, so only the page's own CSS applies here
+  return `<noscript>
+          <div style="background:#0D0D0D; border:1px solid #1F1F1F; padding:1.5rem; margin-bottom:1.5rem;">
+            <div style="font-family:'Bebas Neue',sans-serif; font-size:2rem; letter-spacing:0.15em; color:#F59E0B;">${escapeHtml(s.code)}</div>
+            <div class="status-badge status-${escapeHtml(data.parcel.status)}" style="margin:0.5rem 0 1rem;">
+              <div class="status-dot"></div>${escapeHtml(s.status.toUpperCase())}
+            </div>
+            <div class="progress-bar-outer"><div class="progress-bar-inner" style="width:${s.progress}%"></div></div>
+            ${row("Progress", `${s.progress}%`)}
+            ${row("Current Location", s.location)}
+            ${row("Estimated Delivery", s.eta)}
+            ${row("Route", s.route)}
+            ${data.parcel.exceptionReason ? row("Notice", data.parcel.exceptionReason) : ""}
+          </div>
+          <div style="background:#0D0D0D; border:1px solid #1F1F1F; padding:1.5rem;">
+            ${events.map(event).join("") || '<p class="info-value">No events yet. Check back soon.</p>'}
+          </div>
+        </noscript>`;
+}
+
+function page(data, url, siteUrl) {
+  let html = template().html;
+  html = html.replace(/<title>[\s\S]*?<\/title>\s*/, "");
+  html = fill(html, "meta", metaTags(data, url, siteUrl));
+  html = fill(html, "noscript", noscriptView(data));
+  html = fill(
+    html,
+    "data",
+    `<script>window.__TRACKING__ = ${scriptJson(data)};</script>`,
+  );
+  return html;
+}
+
+function htmlResponse(status, body, headers = {}) {
+  return {
+    statusCode: status,
+    headers: { "Content-Type": "text/html; charset=utf-8", ...headers },
+    body,
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod !== "GET" && event.httpMethod !== "HEAD") {
+    return err("Method not allowed", 405);
+  }
+
+  // event.path: /.netlify/functions/track-page/CRX-ABC-DEF-GHJN
+  // or /track/CRX-ABC-DEF-GHJN (before rewrite)
+  const segments = (event.path || "").split("/").filter(Boolean);
+  const parsed = parseTrackingCode(segments[segments.length - 1]);
+
+  try {
+    const { html, version } = template();
+    if (!parsed || !parsed.valid) return htmlResponse(404, html);
+
+    const db = await initDb();
+    const { code } = parsed;
+    const state = await fetchState(db, code, false);
+    if (!state) return htmlResponse(404, html);
+
+    const validators = {
+      ...state.validators,
+      etag: etagFor("track-page", version, state.validators.etag),
+    };
+    // Only the validators: notModified() is the API's, with its JSON
+    // Content-Type and CORS headers
+    if (isFresh(event, validators))
+      return {
+        statusCode: 304,
+        headers: validatorHeaders(validators),
+        body: "",
+      };
+
+    const data = await loadTracking(db, code, {
+      detailed: false,
+      eventCursor: state.eventCursor,
+    });
+
+    const headers = event.headers || {};
+    const siteUrl = (
+      process.env.URL || `https://${headers.host || "localhost"}`
+    ).replace(/\/+$/, "");
+    return htmlResponse(
+      200,
+      page(data, `${siteUrl}/track/${code}`, siteUrl),
+      validatorHeaders(validators),
+    );
+  } catch (e) {
+    console.error("[track-page]", e);
+    try {
+      // The page can still fetch the parcel itself
+      return htmlResponse(200, template().html, {
+        "Cache-Control": "no-store",
+      });
+    } catch {
+      return err("Failed to load the tracking page", 500);
+    }
+  }
+};
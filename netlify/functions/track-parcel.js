@@ -2,10 +2,30 @@
 // Handles GET /api/track/:code
 // The redirect rule passes :code as a path segment; Netlify also
 // exposes it in event.path so we parse it from there.
+// Supports conditional GET (ETag / Last-Modified → 304), see _cache.js.
+// Names, addresses and exact positions are only included with a token
+// from POST /api/track/:code/verify; see _privacy.js for the two tiers.
+// A mistyped code (see _codes.js) gets 400/404 with the code most likely
+// meant: { error, suggestion }.
 
 const { initDb, ok, err, CORS_HEADERS } = require("./_db");
+const { restrictOrigins } = require("./_cors");
+const { validatorHeaders, isFresh, notModified } = require("./_cache");
+const { isVerified } = require("./_privacy");
+const { fetchState, loadTracking } = require("./_tracking");
+const { parseTrackingCode, suggestionFor } = require("./_codes");
 
-exports.handler = async (event) => {
+// 400 / 404 that also offers the code the user most likely meant
+async function notFound(db, input, message, status) {
+  const suggestion = input ? await suggestionFor(db, input) : null;
+  return {
+    statusCode: status,
+    headers: CORS_HEADERS,
+    body: JSON.stringify({ error: message, suggestion }),
+  };
+}
+
+exports.handler = restrictOrigins(async (event) => {
   if (event.httpMethod === "OPTIONS") {
     return { statusCode: 204, headers: CORS_HEADERS, body: "" };
   }
@@ -18,73 +38,42 @@ exports.handler = async (event) => {
   // event.path will be something like /.netlify/functions/track-parcel/CRX-ABC-DEF-GHI
   // or /api/track/CRX-ABC-DEF-GHI (before rewrite)
   const segments = (event.path || "").split("/").filter(Boolean);
-  const code = segments[segments.length - 1]?.toUpperCase();
-
-  if (!code || !code.startsWith("CRX-")) {
-    return err("Invalid or missing tracking code", 400);
-  }
+  const input = segments[segments.length - 1] || "";
+  const parsed = parseTrackingCode(input);
 
   try {
     const db = await initDb();
 
-    const parcelResult = await db.execute({
-      sql: "SELECT * FROM parcels WHERE tracking_code = ?",
-      args: [code],
-    });
-
-    if (!parcelResult.rows.length) {
-      return err("Tracking code not found", 404);
+    if (!parsed || !parsed.valid) {
+      return notFound(
+        db,
+        input,
+        parsed
+          ? "Tracking code check character doesn't match"
+          : "Invalid or missing tracking code",
+        400,
+      );
     }
+    const { code } = parsed;
 
-    const parcel = parcelResult.rows[0];
-
-    const eventsResult = await db.execute({
-      sql: "SELECT * FROM tracking_events WHERE tracking_code = ? ORDER BY timestamp DESC LIMIT 20",
-      args: [code],
-    });
+    const detailed = isVerified(event, code);
 
-    // Thin out route points for payload efficiency (every 5th point)
-    let routePoints = null;
-    if (parcel.route_points) {
-      const pts = JSON.parse(parcel.route_points);
-      routePoints = pts.filter((_, i) => i % 5 === 0 || i === pts.length - 1);
+    // Cheap check first: an unchanged parcel skips the route entirely
+    const state = await fetchState(db, code, detailed);
+    if (!state) {
+      return notFound(db, code, "Tracking code not found", 404);
     }
-
-    let progressPercent = 0;
-    if (parcel.route_points && parcel.route_progress != null) {
-      const total = JSON.parse(parcel.route_points).length;
-      progressPercent = Math.round(
-        (parcel.route_progress / Math.max(total - 1, 1)) * 100,
-      );
+    if (isFresh(event, state.validators)) {
+      return notModified(state.validators);
     }
 
-    return ok({
-      parcel: {
-        trackingCode: parcel.tracking_code,
-        status: parcel.status,
-        senderName: parcel.sender_name,
-        senderAddress: parcel.sender_address,
-        receiverName: parcel.receiver_name,
-        receiverAddress: parcel.receiver_address,
-        parcelDescription: parcel.parcel_description,
-        currentLat: parcel.current_lat,
-        currentLng: parcel.current_lng,
-        currentLocationName: parcel.current_location_name,
-        originLat: parcel.origin_lat,
-        originLng: parcel.origin_lng,
-        destinationLat: parcel.destination_lat,
-        destinationLng: parcel.destination_lng,
-        daysToDeliver: parcel.days_to_deliver,
-        estimatedDelivery: parcel.estimated_delivery,
-        createdAt: parcel.created_at,
-        lastUpdated: parcel.last_updated,
-        progressPercent,
-      },
-      routePoints,
-      events: eventsResult.rows,
+    const data = await loadTracking(db, code, {
+      detailed,
+      eventCursor: state.eventCursor,
     });
+    return ok(data, 200, validatorHeaders(state.validators));
   } catch (e) {
     console.error("[track-parcel]", e);
     return err("Failed to fetch tracking info", 500);
   }
-};
+});
@@ -0,0 +1,235 @@
+// netlify/functions/track-stream.js
+// Handles GET /api/track/:code/stream  (Server-Sent Events)
+// Pushes changes for a tracking code as they are written:
+//   event: tracking  — one new tracking_events row (id: its rowid)
+//   event: position  — where the parcel is now, sent on connect and
+//                      whenever the parcel (or its return leg) moves
+// Functions can't hold a connection open indefinitely, so each one lasts
+// at most STREAM_SECONDS: 8 by default, inside Netlify's default 10-second
+// function limit (TRACK_STREAM_SECONDS where it was raised). Parcels move
+// about hourly, so within that a connection sends what is new and ends,
+// and only polls again every POLL_SECONDS where the limit allows. Between
+// polls it only reads the parcels' last_updated, and re-reads the parcels
+// when that changes.
+// EventSource reconnects after `retry` (RETRY_SECONDS) and sends the last
+// id it saw as Last-Event-ID, so no event is missed or repeated.
+// ?since=<cursor> (eventCursor from GET /api/track/:code) does the same
+// for the first connection.
+// Without a verification token (?token=, see _privacy.js) places and event
+// text are the public tier, as from GET /api/track/:code.
+// Called via the redirect in netlify.toml (listed before /api/track/:code):
+//   /api/track/:code/stream  →  /.netlify/functions/track-stream/:code
+
+const { stream } = require("@netlify/functions");
+const { initDb, err, CORS_HEADERS } = require("./_db");
+const { restrictOrigins } = require("./_cors");
+const { parseTrackingCode } = require("./_codes");
+const { progressPercent, findParcel } = require("./_parcels");
+const { parseLegs, legAt } = require("./_journey");
+const { isVerified, coarse, coarsePlace, publicEvent } = require("./_privacy");
+
+const POLL_SECONDS = 10;
+// A couple of seconds under the function limit, for connecting and the
+// last poll
+const STREAM_SECONDS = parseInt(process.env.TRACK_STREAM_SECONDS, 10) || 8;
+// How long browsers wait before reconnecting
+const RETRY_SECONDS = 30;
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function position(parcel, detailed) {
+  const legs = parseLegs(parcel.route_legs);
+  return {
+    trackingCode: parcel.tracking_code,
+    status: parcel.status,
+    exceptionReason: parcel.exception_reason,
+    currentLat: detailed ? parcel.current_lat : coarse(parcel.current_lat),
+    currentLng: detailed ? parcel.current_lng : coarse(parcel.current_lng),
+    currentLocationName: detailed
+      ? parcel.current_location_name
+      : coarsePlace(parcel.current_location_name),
+    estimatedDelivery: parcel.estimated_delivery,
+    lastUpdated: parcel.last_updated,
+    returnTrackingCode: parcel.return_tracking_code,
+    progressPercent: progressPercent(
+      parcel.route_progress,
+      parcel.route_points ? JSON.parse(parcel.route_points).length : 0,
+      legs,
+    ),
+    currentLeg: legAt(legs, parcel.route_progress || 0),
+  };
+}
+
+// The parcel and its return leg, if it has one
+async function snapshot(db, code, detailed) {
+  const parcel = await findParcel(db, code);
+  if (!parcel) return null;
+  const leg = parcel.return_tracking_code
+    ? await findParcel(db, parcel.return_tracking_code)
+    : null;
+  return {
+    parcels: new Map(
+      (leg ? [parcel, leg] : [parcel]).map((p) => [p.tracking_code, p]),
+    ),
+    position: {
+      ...position(parcel, detailed),
+      returnLeg: leg ? position(leg, detailed) : null,
+    },
+  };
+}
+
+// Changes whenever update-location, a dispatcher or a return touches one
+// of the parcels
+function versionOf(rows) {
+  return rows
+    .map((r) => `${r.tracking_code} ${r.last_updated}`)
+    .sort()
+    .join(",");
+}
+
+async function version(db, codes) {
+  const result = await db.execute({
+    sql: `SELECT tracking_code, last_updated FROM parcels
+          WHERE tracking_code IN (${codes.map(() => "?").join(", ")})`,
+    args: codes,
+  });
+  return versionOf(result.rows);
+}
+
+async function eventsAfter(db, codes, cursor) {
+  const result = await db.execute({
+    sql: `SELECT rowid AS cursor, * FROM tracking_events
+          WHERE tracking_code IN (${codes.map(() => "?").join(", ")})
+            AND rowid > ?
+          ORDER BY rowid`,
+    args: [...codes, cursor],
+  });
+  return result.rows;
+}
+
+function frame(name, data, id) {
+  return (
+    (id != null ? `id: ${id}\n` : "") +
+    `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`
+  );
+}
+
+exports.handler = stream(
+  restrictOrigins(async (event) => {
+    if (event.httpMethod === "OPTIONS") {
+      return { statusCode: 204, headers: CORS_HEADERS, body: "" };
+    }
+
+    if (event.httpMethod !== "GET") {
+      return err("Method not allowed", 405);
+    }
+
+    // event.path: /.netlify/functions/track-stream/CRX-ABC-DEF-GHI
+    // or /api/track/CRX-ABC-DEF-GHI/stream (before rewrite)
+    const segments = (event.path || "")
+      .split("/")
+      .filter((s) => s && s !== "stream");
+    const parsed = parseTrackingCode(segments[segments.length - 1]);
+
+    if (!parsed || !parsed.valid) {
+      return err("Invalid or missing tracking code", 400);
+    }
+    const { code } = parsed;
+
+    const headers = event.headers || {};
+    const cursor = Math.max(
+      parseInt(headers["last-event-id"], 10) || 0,
+      parseInt(event.queryStringParameters?.since, 10) || 0,
+    );
+
+    const detailed = isVerified(event, code);
+
+    let db, first;
+    try {
+      db = await initDb();
+      first = await snapshot(db, code, detailed);
+    } catch (e) {
+      console.error("[track-stream]", e);
+      return err("Failed to fetch tracking info", 500);
+    }
+    if (!first) return err("Tracking code not found", 404);
+
+    const encoder = new TextEncoder();
+    let closed = false;
+
+    const body = new ReadableStream({
+      async start(controller) {
+        const send = (text) => controller.enqueue(encoder.encode(text));
+        const deadline = Date.now() + STREAM_SECONDS * 1000;
+        let last = first;
+        let lastVersion = versionOf([...first.parcels.values()]);
+        let lastId = cursor;
+
+        send(`retry: ${RETRY_SECONDS * 1000}\n\n`);
+        send(frame("position", last.position));
+
+        try {
+          while (!closed) {
+            const rows = await eventsAfter(
+              db,
+              [...last.parcels.keys()],
+              lastId,
+            );
+            for (const row of rows) {
+              lastId = row.cursor;
+              const { cursor: _, ...ev } = row;
+              send(
+                frame(
+                  "tracking",
+                  detailed
+                    ? ev
+                    : publicEvent(ev, last.parcels.get(ev.tracking_code)),
+                  lastId,
+                ),
+              );
+            }
+
+            if (Date.now() + POLL_SECONDS * 1000 > deadline) break;
+            // Comment line: keeps proxies from timing out an idle stream
+            send(": ping\n\n");
+            await sleep(POLL_SECONDS * 1000);
+            if (closed) break;
+
+            const current = await version(db, [...last.parcels.keys()]);
+            if (current === lastVersion) continue;
+            lastVersion = current;
+
+            const next = await snapshot(db, code, detailed);
+            if (!next) break;
+            if (
+              JSON.stringify(next.position) !== JSON.stringify(last.position)
+            ) {
+              send(frame("position", next.position));
+            }
+            last = next;
+          }
+        } catch (e) {
+          console.error("[track-stream]", e);
+        }
+
+        if (!closed) controller.close();
+      },
+      cancel() {
+        closed = true;
+      },
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...CORS_HEADERS,
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      },
+      body,
+    };
+  }),
+);
@@ -0,0 +1,262 @@
+// netlify/functions/track-subscribe.js
+// Email updates for people following a parcel (see _subscriptions.js):
+//   POST /api/track/:code/subscribe          { email, events }
+//        → 202; emails that address a link to confirm. Needs the
+//          X-Tracking-Token from track-verify.js. events: any of
+//          in_transit, out_for_delivery, delivered, exception (default all)
+//   GET  /api/track/:code/subscribe/confirm  ?email&events&token
+//        → the link in that email: a page with a confirm button
+//   POST /api/track/:code/subscribe/confirm  ?email&events&token
+//        → subscribes, then back to the track page
+//   GET  /api/track/:code/unsubscribe        ?s&token
+//        → the link in every notification: a page with an unsubscribe button
+//   POST /api/track/:code/unsubscribe        ?s&token
+//        → unsubscribes; also what mail clients call for one-click
+//          unsubscribe (List-Unsubscribe-Post, RFC 8058). With the
+//          X-Tracking-Token instead of a link token, the track page stops
+//          the receiver's emails (s=receiver) or texts (s=receiver-sms).
+// Called via the redirects in netlify.toml (listed before /api/track/:code):
+//   /api/track/:code/subscribe          →  /.netlify/functions/track-subscribe/:code/subscribe
+//   /api/track/:code/subscribe/confirm  →  /.netlify/functions/track-subscribe/:code/subscribe/confirm
+//   /api/track/:code/unsubscribe        →  /.netlify/functions/track-subscribe/:code/unsubscribe
+
+const { initDb, ok, err, CORS_HEADERS } = require("./_db");
+const { restrictOrigins } = require("./_cors");
+const { parseTrackingCode } = require("./_codes");
+const { findParcel } = require("./_parcels");
+const { isVerified } = require("./_privacy");
+const { renderEmail, emailContext, escapeHtml } = require("./_templates");
+const { enqueueEmail, deliverNow } = require("./_outbox");
+const {
+  EVENT_TYPES,
+  RECEIVER,
+  RECEIVER_SMS,
+  normaliseEmail,
+  parseEvents,
+  confirmUrl,
+  isConfirmation,
+  isUnsubscribe,
+  confirmSubscription,
+  unsubscribe,
+} = require("./_subscriptions");
+
+// Confirmation emails per parcel per hour, so the form can't be used to
+// flood someone's inbox
+const MAX_CONFIRMATIONS_PER_HOUR = 10;
+
+// ─── Pages ────────────────────────────────────────────────────────────────────
+function htmlPage(status, title, body) {
+  return {
+    statusCode: status,
+    headers: {
+      "Content-Type": "text/html; charset=utf-8",
+      "Cache-Control": "no-store",
+    },
+    body: `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <meta name="robots" content="noindex" />
+    <title>${escapeHtml(title)} | Swift Pulse</title>
+  </head>
+  <body style="margin:0; padding:3rem 1.5rem; background:#0a0a0a; color:#e5e5e5; font-family:sans-serif;">
+    <div style="max-width:480px; margin:0 auto; border:1px solid #1f1f1f; background:#0d0d0d; padding:2rem;">
+      <h1 style="margin:0 0 1rem; font-size:1.4rem; letter-spacing:0.1em; color:#f59e0b;">${escapeHtml(title)}</h1>
+      ${body}
+    </div>
+  </body>
+</html>`,
+  };
+}
+
+function paragraph(text) {
+  return `<p style="font-size:0.9rem; line-height:1.5; color:#aaa;">${text}</p>`;
+}
+
+function trackLink(code) {
+  return `<a href="/track/${escapeHtml(code)}" style="color:#f59e0b;">Back to ${escapeHtml(code)}</a>`;
+}
+
+// ─── Handlers ─────────────────────────────────────────────────────────────────
+async function subscribe(event, db, parcel) {
+  const code = parcel.tracking_code;
+  if (!isVerified(event, code))
+    return err("Verify as the receiver first to subscribe", 403);
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return err("Invalid JSON body", 400);
+  }
+
+  const email = normaliseEmail(body.email);
+  if (!email) return err("A valid email is required");
+  const events = parseEvents(body.events);
+  if (!events.length)
+    return err(
+      `events must include at least one of: ${Object.keys(EVENT_TYPES).join(", ")}`,
+    );
+
+  const recent = await db.execute({
+    sql: `SELECT COUNT(*) AS n FROM email_outbox
+          WHERE tracking_code = ? AND template = 'subscription_confirm'
+            AND created_at > datetime('now', '-1 hour')`,
+    args: [code],
+  });
+  if (Number(recent.rows[0].n) >= MAX_CONFIRMATIONS_PER_HOUR)
+    return err("Too many subscription requests. Try again later.", 429, {
+      "Retry-After": "3600",
+    });
+
+  const message = renderEmail(
+    "subscription_confirm",
+    emailContext(parcel, {
+      confirmUrl: confirmUrl(code, email, events),
+      events: events.map((type) => EVENT_TYPES[type]),
+    }),
+  );
+  const id = await enqueueEmail(
+    db,
+    { to: email, ...message },
+    { trackingCode: code, template: "subscription_confirm" },
+  );
+  await deliverNow(db, id);
+
+  console.log(`[track-subscribe] ${code}: confirmation sent`);
+  return ok(
+    { success: true, message: "Check your inbox to confirm", events },
+    202,
+  );
+}
+
+async function confirm(event, db, parcel) {
+  const code = parcel.tracking_code;
+  const query = event.queryStringParameters || {};
+  const email = normaliseEmail(query.email);
+  const events = parseEvents(query.events);
+
+  if (!email || !isConfirmation(query.token, code, email, events))
+    return htmlPage(
+      400,
+      "LINK EXPIRED",
+      paragraph(
+        "This confirmation link is invalid or has expired. Subscribe again from the tracking page.",
+      ) + trackLink(code),
+    );
+
+  // Link scanners follow GETs, so it takes a button press
+  if (event.httpMethod === "GET")
+    return htmlPage(
+      200,
+      "CONFIRM",
+      paragraph(
+        `Send updates about parcel <strong>${escapeHtml(code)}</strong> to <strong>${escapeHtml(email)}</strong>?`,
+      ) +
+        `<form method="POST" action="/api/track/${escapeHtml(code)}/subscribe/confirm?${escapeHtml(
+          new URLSearchParams({
+            email,
+            events: events.join(","),
+            token: query.token,
+          }).toString(),
+        )}">
+        <button type="submit" style="background:#f59e0b; color:#000; border:0; padding:0.7rem 1.4rem; font-weight:bold; cursor:pointer;">CONFIRM SUBSCRIPTION</button>
+      </form>`,
+    );
+
+  await confirmSubscription(db, code, email, events);
+  console.log(`[track-subscribe] ${code}: subscription confirmed`);
+  return {
+    statusCode: 303,
+    headers: { Location: `/track/${code}?subscribed=1` },
+    body: "",
+  };
+}
+
+async function unsubscribePage(event, db, parcel) {
+  const code = parcel.tracking_code;
+  const query = event.queryStringParameters || {};
+  const who = String(query.s || "");
+  const what = who === RECEIVER_SMS ? "texts" : "emails";
+  const byReceiver =
+    event.httpMethod === "POST" &&
+    (who === RECEIVER || who === RECEIVER_SMS) &&
+    isVerified(event, code);
+
+  if (!byReceiver && !isUnsubscribe(query.token, code, who))
+    return htmlPage(
+      400,
+      "LINK EXPIRED",
+      paragraph("This unsubscribe link is invalid or has expired.") +
+        trackLink(code),
+    );
+
+  // Link scanners follow GETs, so it takes a button press
+  if (event.httpMethod === "GET")
+    return htmlPage(
+      200,
+      "UNSUBSCRIBE",
+      paragraph(
+        `Stop ${what} about parcel <strong>${escapeHtml(code)}</strong>${who === RECEIVER ? " to its receiver" : ""}?`,
+      ) +
+        `<form method="POST" action="/api/track/${escapeHtml(code)}/unsubscribe?${escapeHtml(
+          new URLSearchParams({ s: who, token: query.token }).toString(),
+        )}">
+        <button type="submit" style="background:#f59e0b; color:#000; border:0; padding:0.7rem 1.4rem; font-weight:bold; cursor:pointer;">UNSUBSCRIBE</button>
+      </form>`,
+    );
+
+  await unsubscribe(db, code, who);
+  console.log(`[track-subscribe] ${code}: ${who} unsubscribed`);
+  return htmlPage(
+    200,
+    "UNSUBSCRIBED",
+    paragraph(
+      `You won't get any more ${what} about parcel <strong>${escapeHtml(code)}</strong>.`,
+    ) + trackLink(code),
+  );
+}
+
+exports.handler = restrictOrigins(async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: CORS_HEADERS, body: "" };
+  }
+
+  // event.path: /.netlify/functions/track-subscribe/CRX-ABC-DEF-GHI/subscribe
+  // or /api/track/CRX-ABC-DEF-GHI/subscribe (before rewrite)
+  const segments = (event.path || "").split("/").filter(Boolean);
+  const base = segments.findIndex(
+    (s) => s === "track-subscribe" || s === "track",
+  );
+  const parsed = parseTrackingCode(segments[base + 1]);
+  const action = segments.slice(base + 2).join("/");
+
+  if (!parsed || !parsed.valid) {
+    return err("Invalid or missing tracking code", 400);
+  }
+
+  try {
+    const db = await initDb();
+    const parcel = await findParcel(db, parsed.code);
+    if (!parcel) return err("Tracking code not found", 404);
+
+    if (action === "subscribe" && event.httpMethod === "POST")
+      return await subscribe(event, db, parcel);
+    if (
+      action === "subscribe/confirm" &&
+      (event.httpMethod === "GET" || event.httpMethod === "POST")
+    )
+      return await confirm(event, db, parcel);
+    if (
+      action === "unsubscribe" &&
+      (event.httpMethod === "GET" || event.httpMethod === "POST")
+    )
+      return await unsubscribePage(event, db, parcel);
+
+    return err("Method not allowed", 405);
+  } catch (e) {
+    console.error("[track-subscribe]", e);
+    return err("Failed to update the subscription", 500);
+  }
+});
@@ -0,0 +1,165 @@
+// netlify/functions/track-verify.js
+// Handles POST /api/track/:code/verify  { answer }
+// The receiver's surname or their postcode unlocks the detailed tier of
+// GET /api/track/:code (see _privacy.js). Returns a token for the
+// X-Tracking-Token header, valid for DETAILS_TOKEN_TTL:
+//   200 { token, expiresAt }
+//   401 { error, attemptsLeft }   wrong answer
+//   429 { error }                 locked after MAX_ATTEMPTS wrong answers
+// Wrong answers are counted per client (IP address) and parcel, so someone
+// guessing can lock themselves out but not the receiver.
+// Called via the redirect in netlify.toml (listed before /api/track/:code):
+//   /api/track/:code/verify  →  /.netlify/functions/track-verify/:code
+
+const crypto = require("crypto");
+const { initDb, ok, err, CORS_HEADERS } = require("./_db");
+const { restrictOrigins } = require("./_cors");
+const { parseTrackingCode } = require("./_codes");
+const { findParcel } = require("./_parcels");
+const { createToken } = require("./_tokens");
+const {
+  DETAILS_TOKEN_PURPOSE,
+  DETAILS_TOKEN_TTL,
+  matchesRecipient,
+} = require("./_privacy");
+
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Who is asking: the client's IP as Netlify saw it, hashed so addresses
+// aren't stored
+function clientId(event) {
+  const headers = event.headers || {};
+  const ip =
+    headers["x-nf-client-connection-ip"] ||
+    String(headers["x-forwarded-for"] || "")
+      .split(",")[0]
+      .trim() ||
+    "unknown";
+  return crypto.createHash("sha256").update(ip).digest("hex");
+}
+
+exports.handler = restrictOrigins(async (event) => {
+  if (event.httpMethod === "OPTIONS") {
+    return { statusCode: 204, headers: CORS_HEADERS, body: "" };
+  }
+
+  if (event.httpMethod !== "POST") {
+    return err("Method not allowed", 405);
+  }
+
+  // event.path: /.netlify/functions/track-verify/CRX-ABC-DEF-GHI
+  // or /api/track/CRX-ABC-DEF-GHI/verify (before rewrite)
+  const segments = (event.path || "")
+    .split("/")
+    .filter((s) => s && s !== "verify");
+  const parsed = parseTrackingCode(segments[segments.length - 1]);
+
+  if (!parsed || !parsed.valid) {
+    return err("Invalid or missing tracking code", 400);
+  }
+  const { code } = parsed;
+
+  let body;
+  try {
+    body = JSON.parse(event.body || "{}");
+  } catch {
+    return err("Invalid JSON body", 400);
+  }
+
+  const answer = String(body.answer || "").trim();
+  if (!answer) return err("answer is required");
+
+  try {
+    const db = await initDb();
+
+    const parcel = await findParcel(db, code);
+    if (!parcel) return err("Tracking code not found", 404);
+
+    const client = clientId(event);
+    const attempts = (
+      await db.execute({
+        sql: `SELECT locked_until FROM verify_attempts
+              WHERE client = ? AND tracking_code = ?`,
+        args: [client, code],
+      })
+    ).rows[0];
+    const lockedUntil = attempts?.locked_until
+      ? new Date(attempts.locked_until)
+      : null;
+    if (lockedUntil && lockedUntil > new Date()) {
+      const seconds = Math.ceil((lockedUntil - Date.now()) / 1000);
+      return err(
+        `Too many attempts. Try again in ${Math.ceil(seconds / 60)} minute(s).`,
+        429,
+        { "Retry-After": String(seconds) },
+      );
+    }
+
+    if (matchesRecipient(parcel, answer)) {
+      await db.execute({
+        sql: "DELETE FROM verify_attempts WHERE client = ? AND tracking_code = ?",
+        args: [client, code],
+      });
+      return ok(createToken(DETAILS_TOKEN_PURPOSE, code, DETAILS_TOKEN_TTL));
+    }
+
+    // Counted in one statement, so parallel guesses can't share a count.
+    // An expired lockout starts it again.
+    await db.batch(
+      [
+        {
+          sql: `INSERT INTO verify_attempts (client, tracking_code, failures)
+                VALUES (?, ?, 1)
+                ON CONFLICT (client, tracking_code) DO UPDATE
+                SET failures = CASE WHEN locked_until IS NULL
+                                    THEN failures + 1 ELSE 1 END,
+                    locked_until = NULL, updated_at = datetime('now')`,
+          args: [client, code],
+        },
+        // Nothing older than a lockout matters
+        `DELETE FROM verify_attempts
+         WHERE updated_at < datetime('now', '-1 day')`,
+      ],
+      "write",
+    );
+    const failures = (
+      await db.execute({
+        sql: `SELECT failures FROM verify_attempts
+              WHERE client = ? AND tracking_code = ?`,
+        args: [client, code],
+      })
+    ).rows[0].failures;
+    console.log(
+      `[track-verify] ${code}: wrong answer (${failures}/${MAX_ATTEMPTS})`,
+    );
+
+    if (failures >= MAX_ATTEMPTS) {
+      await db.execute({
+        sql: `UPDATE verify_attempts SET locked_until = ?
+              WHERE client = ? AND tracking_code = ?`,
+        args: [
+          new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000).toISOString(),
+          client,
+          code,
+        ],
+      });
+      return err(
+        `Too many attempts. Try again in ${LOCKOUT_MINUTES} minutes.`,
+        429,
+        { "Retry-After": String(LOCKOUT_MINUTES * 60) },
+      );
+    }
+    return {
+      statusCode: 401,
+      headers: CORS_HEADERS,
+      body: JSON.stringify({
+        error: "That doesn't match our records",
+        attemptsLeft: MAX_ATTEMPTS - failures,
+      }),
+    };
+  } catch (e) {
+    console.error("[track-verify]", e);
+    return err("Verification failed", 500);
+  }
+});
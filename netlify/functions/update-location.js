@@ -8,10 +8,27 @@
 //   - Progress is always relative to time elapsed since creation,
 //     so parcels that were created days ago catch up correctly
 //   - Status: pending → in_transit → out_for_delivery (last 5%) → delivered
+//   - Parcels in an exception status (on hold, customs...) are skipped, and
+//     the hours they spent held are taken off their elapsed time
+//   - Return legs (see _returns.js) move like any parcel; delivering one
+//     marks the original parcel as returned
+//   - Multi-modal parcels (see _journey.js) map time onto their legs piece
+//     by piece, waiting at hubs, and log each hub arrival/departure once
+//   - Each status change emails the receiver, once (see _notify.js)
 
 const { v4: uuidv4 } = require("uuid");
 const { initDb } = require("./_db");
 const { reverseGeocode } = require("./_routing");
+const { ACTIVE_STATUSES } = require("./_status");
+const { completeReturn } = require("./_returns");
+const { recordEvent } = require("./_parcels");
+const { notifyStatus } = require("./_notify");
+const {
+  parseLegs,
+  indexAt,
+  isFinalStretch,
+  milestones,
+} = require("./_journey");
 
 exports.handler = async (event) => {
   console.log(`[update-locations] Triggered at ${new Date().toISOString()}`);
@@ -19,12 +36,13 @@ exports.handler = async (event) => {
   try {
     const db = await initDb();
 
-    const result = await db.execute(`
-      SELECT * FROM parcels
-      WHERE status IN ('pending', 'in_transit', 'out_for_delivery')
-        AND route_points IS NOT NULL
-        AND origin_lat IS NOT NULL
-    `);
+    const result = await db.execute({
+      sql: `SELECT * FROM parcels
+            WHERE status IN (${ACTIVE_STATUSES.map(() => "?").join(", ")})
+              AND route_points IS NOT NULL
+              AND origin_lat IS NOT NULL`,
+      args: ACTIVE_STATUSES,
+    });
 
     if (!result.rows.length) {
       console.log("[update-locations] No active parcels to update.");
@@ -62,21 +80,24 @@ exports.handler = async (event) => {
 
 async function advanceParcel(parcel, db) {
   const routePoints = JSON.parse(parcel.route_points);
+  const legs = parseLegs(parcel.route_legs);
   const totalPoints = routePoints.length;
   const totalHours = parcel.days_to_deliver * 24;
 
-  // Calculate how many hours have elapsed since the parcel was created
+  // Calculate how many hours have elapsed since the parcel was created,
+  // not counting time spent on hold (see _status.js)
   const createdAt = new Date(parcel.created_at);
   const now = new Date();
-  const hoursElapsed = Math.max(0, (now - createdAt) / (1000 * 60 * 60));
+  const hoursElapsed = Math.max(
+    0,
+    (now - createdAt) / (1000 * 60 * 60) - (parcel.paused_hours || 0),
+  );
 
   // Target index = what point we SHOULD be at right now based on time elapsed
   // This self-corrects: if a parcel was created 10hrs ago on a 72hr journey,
   // it will jump to the correct position regardless of prior update history
-  const targetProgress = Math.min(
-    totalPoints - 1,
-    Math.floor((hoursElapsed / totalHours) * (totalPoints - 1)),
-  );
+  const fraction = Math.min(1, hoursElapsed / totalHours);
+  const targetProgress = indexAt(legs, totalPoints, fraction);
 
   // Only advance, never go backwards
   const newProgress = Math.max(parcel.route_progress || 0, targetProgress);
@@ -85,7 +106,7 @@ async function advanceParcel(parcel, db) {
   let newStatus = parcel.status;
   if (newProgress >= totalPoints - 1) {
     newStatus = "delivered";
-  } else if (newProgress >= totalPoints * 0.95) {
+  } else if (isFinalStretch(legs, totalPoints, newProgress)) {
     newStatus = "out_for_delivery";
   } else if (parcel.status === "pending") {
     newStatus = "in_transit";
@@ -94,20 +115,41 @@ async function advanceParcel(parcel, db) {
   const point = routePoints[newProgress];
   const locationName = await reverseGeocode(point.lat, point.lng);
 
-  await db.execute({
+  // Hub arrivals/departures whose time has come since the last run
+  const passed = parcel.milestones_passed || 0;
+  const due = [];
+  for (const m of milestones(legs).slice(passed)) {
+    if (m.fraction > fraction) break;
+    due.push(m);
+  }
+
+  // The status guard stops us overwriting an exception a dispatcher set
+  // while this run was in flight
+  const update = await db.execute({
     sql: `UPDATE parcels
           SET current_lat = ?, current_lng = ?, current_location_name = ?,
-              route_progress = ?, status = ?, last_updated = datetime('now')
-          WHERE tracking_code = ?`,
+              route_progress = ?, status = ?, milestones_passed = ?,
+              last_updated = datetime('now')
+          WHERE tracking_code = ? AND status = ?`,
     args: [
       point.lat,
       point.lng,
       locationName,
       newProgress,
       newStatus,
+      passed + due.length,
       parcel.tracking_code,
+      parcel.status,
     ],
   });
+  if (!update.rowsAffected) {
+    console.log(`  ↪ ${parcel.tracking_code}: status changed mid-run, skipped`);
+    return;
+  }
+
+  for (const m of due) {
+    await recordEvent(db, parcel.tracking_code, m.type, m.description, m.hub);
+  }
 
   // Log tracking event
   const isDelivered = newStatus === "delivered";
@@ -128,6 +170,15 @@ async function advanceParcel(parcel, db) {
     ],
   });
 
+  // Emails the receiver about the new status (see _notify.js)
+  if (newStatus !== parcel.status) await notifyStatus(db, parcel.tracking_code);
+
+  // A delivered return leg completes the original parcel's return
+  if (isDelivered && parcel.return_of) {
+    await completeReturn(db, parcel);
+    await notifyStatus(db, parcel.return_of);
+  }
+
   const pct = Math.round((newProgress / (totalPoints - 1)) * 100);
   console.log(
     `  ↪ ${parcel.tracking_code}: ${newProgress}/${totalPoints - 1} (${pct}%) ` +
@@ -0,0 +1,61 @@
+// scripts/create-operator.js
+// Creates (or resets the password of) an operator account for the admz console.
+//
+//   npm run operator:create -- <email> "<Full Name>"
+//
+// Reads TURSO_DATABASE_URL / TURSO_AUTH_TOKEN from the environment — run it
+// through `netlify dev:exec` to pick up the site's variables. The password
+// is taken from OPERATOR_PASSWORD, or prompted for when that is unset.
+
+const readline = require("readline");
+const { v4: uuidv4 } = require("uuid");
+const { initDb } = require("../netlify/functions/_db");
+const { hashPassword } = require("../netlify/functions/_auth");
+
+function prompt(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) =>
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer);
+    }),
+  );
+}
+
+async function main() {
+  const [email, name] = process.argv.slice(2);
+  if (!email || !name) {
+    console.error('Usage: npm run operator:create -- <email> "<Full Name>"');
+    process.exit(1);
+  }
+
+  const password =
+    process.env.OPERATOR_PASSWORD || (await prompt("Password: "));
+  if (password.length < 12) {
+    console.error("Password must be at least 12 characters.");
+    process.exit(1);
+  }
+
+  const db = await initDb();
+  const normalized = email.trim().toLowerCase();
+
+  await db.execute({
+    sql: `INSERT INTO operators (id, email, name, password_hash)
+          VALUES (?, ?, ?, ?)
+          ON CONFLICT(email) DO UPDATE SET
+            name = excluded.name,
+            password_hash = excluded.password_hash,
+            disabled_at = NULL`,
+    args: [uuidv4(), normalized, name, hashPassword(password)],
+  });
+
+  console.log(`✅ Operator ${normalized} is ready to sign in at /admz`);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+// scripts/migrate.js
+// Schema migrations from the command line.
+//
+//   npm run db:status              → list migrations and when each was applied
+//   npm run db:migrate             → apply pending migrations now
+//   npm run db:rollback -- --yes   → revert the most recent applied migration
+//
+// Reads TURSO_DATABASE_URL / TURSO_AUTH_TOKEN from the environment — run it
+// through `netlify dev:exec` to pick up the site's variables.
+
+const { getDb } = require("../netlify/functions/_db");
+const { migrate, status, rollback } = require("../netlify/functions/_migrate");
+
+async function main() {
+  const [command, ...flags] = process.argv.slice(2);
+  const db = getDb();
+
+  if (command === "status") {
+    for (const row of await status(db)) {
+      const state = row.unknown
+        ? `applied ${row.appliedAt} (not in this checkout)`
+        : row.appliedAt
+          ? `applied ${row.appliedAt}`
+          : "pending";
+      console.log(`${row.id.padEnd(40)} ${state}`);
+    }
+    return;
+  }
+
+  if (command === "up") {
+    const ran = await migrate(db);
+    console.log(
+      ran.length ? `✅ Applied ${ran.join(", ")}` : "Already up to date.",
+    );
+    return;
+  }
+
+  if (command === "rollback") {
+    if (!flags.includes("--yes")) {
+      console.error(
+        "Rolling back runs the migration's down steps and can drop data.\n" +
+          "Re-run with --yes to confirm.",
+      );
+      process.exit(1);
+    }
+    const id = await rollback(db);
+    console.log(id ? `↩ Rolled back ${id}` : "Nothing to roll back.");
+    return;
+  }
+
+  console.error("Usage: node scripts/migrate.js <status|up|rollback> [--yes]");
+  process.exit(1);
+}
+
+main().catch((e) => {
+  console.error(e.message);
+  process.exit(1);
+});
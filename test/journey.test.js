@@ -0,0 +1,107 @@
+// test/journey.test.js
+// Time ↔ position on planned journeys (netlify/functions/_journey.js),
+// planned with the offline geo provider so no network is needed.
+//   npm test
+
+process.env.GEO_PROVIDER = "offline";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { geocodeAddress } = require("../netlify/functions/_routing");
+const { pathLength } = require("../netlify/functions/_geodesy");
+const { progressPercent } = require("../netlify/functions/_parcels");
+const {
+  SPEED_KMH,
+  DEPARTURE_DWELL_HOURS,
+  ARRIVAL_DWELL_HOURS,
+  planJourney,
+  indexAt,
+  fractionAt,
+} = require("../netlify/functions/_journey");
+
+async function plan(mode) {
+  const from = await geocodeAddress("Lagos, Nigeria");
+  const to = await geocodeAddress("Tokyo, Japan");
+  return planJourney(
+    { ...from, name: "Lagos, Nigeria" },
+    { ...to, name: "Tokyo, Japan" },
+    mode,
+  );
+}
+
+// Hours each leg takes, by the planning figures
+function legHours(journey) {
+  return journey.legs.map((leg, i) => {
+    const meters = pathLength(
+      journey.points.slice(leg.startIndex, leg.endIndex + 1),
+    );
+    const prev = journey.legs[i - 1];
+    const dwell =
+      leg.mode !== "road"
+        ? DEPARTURE_DWELL_HOURS[leg.mode]
+        : prev && prev.mode !== "road"
+          ? ARRIVAL_DWELL_HOURS[prev.mode]
+          : 0;
+    return meters / 1000 / SPEED_KMH[leg.mode] + dwell;
+  });
+}
+
+const STEPS = 2000;
+
+for (const [mode, legCount] of [
+  ["road", 1],
+  ["air", 3],
+  ["sea", 3],
+]) {
+  test(`${mode}: each leg takes its share of the time`, async () => {
+    const journey = await plan(mode);
+    const { legs, points } = journey;
+    assert.equal(legs.length, legCount);
+
+    const hours = legHours(journey);
+    const total = hours.reduce((a, b) => a + b, 0);
+    let start = 0;
+    legs.forEach((leg, i) => {
+      assert.ok(Math.abs(leg.timeShare - hours[i] / total) < 0.001);
+      // Still at the leg's start while loading at the hub, then at its end
+      // once its share of the time has passed
+      assert.equal(
+        indexAt(legs, points.length, start + leg.dwellShare / 2),
+        leg.startIndex,
+      );
+      start += leg.timeShare;
+      assert.equal(indexAt(legs, points.length, start), leg.endIndex);
+    });
+    assert.equal(legs.at(-1).endIndex, points.length - 1);
+  });
+
+  test(`${mode}: the parcel never moves backwards`, async () => {
+    const { legs, points } = await plan(mode);
+    let previous = 0;
+    for (let step = 0; step <= STEPS; step++) {
+      const index = indexAt(legs, points.length, step / STEPS);
+      assert.ok(index >= previous, `went back at ${step / STEPS}`);
+      previous = index;
+    }
+    assert.equal(previous, points.length - 1);
+  });
+
+  test(`${mode}: progress and position agree`, async () => {
+    const { legs, points } = await plan(mode);
+    const n = points.length;
+    for (let step = 0; step <= STEPS; step++) {
+      const f = step / STEPS;
+      const index = indexAt(legs, n, f);
+      // The last point reached by then: not ahead of the clock, and the
+      // next point not yet due
+      assert.ok(fractionAt(legs, n, index) <= f + 1e-9);
+      if (index < n - 1) assert.ok(fractionAt(legs, n, index + 1) > f - 1e-9);
+    }
+    // The progress shown for a point is the time the parcel is there
+    for (let index = 0; index < n; index++) {
+      const f = fractionAt(legs, n, index);
+      assert.equal(indexAt(legs, n, f), index);
+      assert.equal(progressPercent(index, n, legs), Math.round(f * 100));
+    }
+  });
+}